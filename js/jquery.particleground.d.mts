@@ -0,0 +1,17 @@
+/**
+ * Type definitions for jquery.particleground.mjs, the ES module build.
+ * The types themselves live in jquery.particleground.d.ts.
+ */
+
+import particleground = require('./jquery.particleground.js');
+
+export default particleground;
+
+export declare const defaults: typeof particleground.defaults;
+export declare const random: typeof particleground.random;
+export declare const ParticleSystem: typeof particleground.ParticleSystem;
+export declare const renderers: typeof particleground.renderers;
+export declare const forces: typeof particleground.forces;
+export declare const useJQuery: typeof particleground.useJQuery;
+export declare const defineElement: typeof particleground.defineElement;
+export declare const autoStart: typeof particleground.autoStart;
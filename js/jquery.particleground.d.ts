@@ -0,0 +1,386 @@
+/**
+ * Type definitions for jquery.particleground.js
+ *
+ * Keep in step with particleground.defaults. The ES module build re-exports
+ * these from jquery.particleground.d.mts.
+ */
+
+export as namespace particleground;
+
+export = particleground;
+
+declare function particleground(element: HTMLElement, options?: particleground.Options): particleground.Instance;
+
+declare namespace particleground {
+  type Direction = 'center' | 'left' | 'right';
+  type DirectionY = 'center' | 'up' | 'down';
+  type Shape = 'circle' | 'square' | 'triangle' | 'polygon' | 'star' | 'image';
+  type AutoPauseReason = 'hidden' | 'offscreen' | 'reducedMotion';
+  type RendererName = 'canvas' | 'webgl' | 'svg';
+  type Boundary = 'bounce' | 'wrap' | 'destroy-and-respawn' | 'none';
+
+  interface LinkOptions {
+    /** How close two dots need to be before they join */
+    proximity?: number;
+    width?: number;
+    color?: string;
+    curved?: boolean;
+    /** Draw links as a gradient between the two dot colors */
+    gradient?: boolean;
+    /** Fade links out as they approach proximity */
+    fade?: boolean;
+  }
+
+  interface ParallaxOptions {
+    enabled?: boolean;
+    /** The lower the number, the more extreme the parallax effect */
+    multiplier?: number;
+    /** Fraction of the distance to the parallax target covered every 1/60s */
+    easing?: number;
+  }
+
+  interface ReducedMotionOptions {
+    /** When the user prefers reduced motion. 'static' draws a single frame */
+    mode?: 'slow' | 'static' | 'ignore';
+    /** Speed multiplier for 'slow' */
+    speed?: number;
+  }
+
+  interface InteractionOptions {
+    mode?: 'none' | 'repulse' | 'attract' | 'grab';
+    /** How far from the pointer the interaction reaches */
+    radius?: number;
+    /** Maximum repulse/attract speed, in pixels per second */
+    strength?: number;
+    /** How many particles a click or tap adds at the pointer */
+    spawn?: number;
+  }
+
+  interface AdaptiveOptions {
+    /** Trade particles, link reach and parallax for frame time */
+    enabled?: boolean;
+    /** Milliseconds of simulating and drawing per frame to stay within */
+    budget?: number;
+    /** Lowest quality, as a fraction of the particles density gives */
+    min?: number;
+    /** Highest quality. Above 1 adds particles when there's headroom */
+    max?: number;
+  }
+
+  interface PhysicsOptions {
+    /** Acceleration, in pixels per second squared */
+    gravity?: { x: number; y: number };
+    /** A second acceleration, e.g. a steady sideways drift */
+    wind?: { x: number; y: number };
+    /** Fraction of its speed a particle loses every second, from 0 to 1 */
+    friction?: number;
+    /** Cap on speed, in pixels per second. 0 = no cap */
+    maxSpeed?: number;
+    /** Elastic collisions between particles, using their radius */
+    collisions?: boolean;
+  }
+
+  /** Options to override for one layer. shape, sides and image are shared */
+  interface LayerOptions extends Omit<Options, 'layers' | 'shape' | 'sides' | 'image' | 'seed'> {
+    /** To toggle it by. Defaults to its index */
+    name?: string;
+    /** false to start hidden */
+    visible?: boolean;
+    /** Parallax depth of its particles, e.g. 3 for far away. Defaults to random from 1 to 3 */
+    depth?: number;
+  }
+
+  interface Options {
+    /** Speeds are in pixels per second */
+    minSpeedX?: number;
+    maxSpeedX?: number;
+    minSpeedY?: number;
+    maxSpeedY?: number;
+    directionX?: Direction;
+    directionY?: DirectionY;
+    /** What happens at the edges. null = bounce for 'center' directions, wrap otherwise */
+    boundary?: Boundary | null;
+    physics?: PhysicsOptions;
+    /** One particle every n pixels */
+    density?: number;
+    /** A color, or an array of colors to pick from for each particle */
+    dotColor?: string | string[];
+    /** How particles pick from a dotColor array */
+    dotColorOrder?: 'random' | 'cycle';
+    /** Dot size, or a [min, max] range to pick from for each particle */
+    particleRadius?: number | [number, number];
+    shape?: Shape;
+    /** Sides of a 'polygon', points of a 'star' */
+    sides?: number;
+    /** Sprite for the 'image' shape: a URL or a loaded image */
+    image?: string | HTMLImageElement | ImageBitmap | null;
+    /** Maximum rotation, in radians per second. 0 = no rotation */
+    rotationSpeed?: number;
+    links?: LinkOptions;
+    /** true/false is short for { enabled: true/false } */
+    parallax?: ParallaxOptions | boolean;
+    /** Independent sets of particles, drawn back to front */
+    layers?: LayerOptions[] | null;
+    reducedMotion?: ReducedMotionOptions;
+    /** Pause while the page is in a background tab */
+    pauseWhenHidden?: boolean;
+    /** Pause while the element is scrolled out of view */
+    pauseWhenOffscreen?: boolean;
+    interaction?: InteractionOptions;
+    /** Cap on the canvas resolution multiplier for HiDPI screens */
+    maxPixelRatio?: number;
+    /** Seed for reproducible particle fields. null = Math.random() */
+    seed?: number | string | null;
+    /** Cap the frame rate. 0 = the display's rate */
+    fps?: number;
+    /** Simulate in fixed steps of this many seconds. 0 = one step per frame */
+    timestep?: number;
+    /** true/false is short for { enabled: true/false } */
+    adaptive?: AdaptiveOptions | boolean;
+    /** Falls back to canvas where unsupported */
+    renderer?: RendererName | string;
+    /**
+     * Simulate and paint in a Web Worker, where OffscreenCanvas is supported.
+     * If the worker fails to load or throws, the instance carries on in the
+     * main thread
+     */
+    worker?: boolean;
+
+    onInit?: (this: HTMLElement) => void;
+    onDestroy?: (this: HTMLElement) => void;
+    onOptionChange?: (this: HTMLElement, changes: Options) => void;
+    onAutoPause?: (this: HTMLElement, reason: AutoPauseReason) => void;
+    onAutoResume?: (this: HTMLElement, reason: AutoPauseReason) => void;
+    onReducedMotion?: (this: HTMLElement, reduced: boolean) => void;
+    /** Adaptive mode's quality, from adaptive.min to adaptive.max */
+    onQualityChange?: (this: HTMLElement, quality: number) => void;
+
+    /** @deprecated Use parallax.multiplier */
+    parallaxMultiplier?: number;
+    /** @deprecated Use links.proximity */
+    proximity?: number;
+    /** @deprecated Use links.width */
+    lineWidth?: number;
+    /** @deprecated Use links.color */
+    lineColor?: string;
+    /** @deprecated Use links.curved */
+    curvedLines?: boolean;
+  }
+
+  /** Options with every default filled in and the flat aliases grouped */
+  interface ResolvedOptions extends Required<Omit<Options, 'boundary' | 'physics' | 'layers' | 'adaptive' | 'parallax' | 'links' | 'reducedMotion' | 'interaction' | 'parallaxMultiplier' | 'proximity' | 'lineWidth' | 'lineColor' | 'curvedLines'>> {
+    links: Required<LinkOptions>;
+    parallax: Required<ParallaxOptions>;
+    reducedMotion: Required<ReducedMotionOptions>;
+    interaction: Required<InteractionOptions>;
+    boundary: Boundary | null;
+    physics: Required<PhysicsOptions>;
+    layers: LayerOptions[] | null;
+    adaptive: Required<AdaptiveOptions>;
+  }
+
+  interface ExportSettings {
+    format?: 'png' | 'svg';
+    /** Resolution multiplier for PNGs. Defaults to the screen's */
+    pixelRatio?: number;
+  }
+
+  interface RecordSettings {
+    seconds?: number;
+    fps?: number;
+    mimeType?: string;
+  }
+
+  interface ResizeEvent {
+    width: number;
+    height: number;
+    pixelRatio: number;
+    particles: number;
+  }
+
+  interface FrameEvent {
+    /** performance.now() at the start of the frame */
+    time: number;
+    /** Seconds simulated */
+    delta: number;
+    /** Milliseconds spent updating and painting */
+    duration: number;
+    /** Rolling average */
+    fps: number;
+    particles: number;
+    quality: number;
+  }
+
+  interface QualityChangeEvent {
+    quality: number;
+    /** Rolling average that triggered the change, in ms */
+    frameTime: number;
+  }
+
+  interface ParticleClickEvent {
+    /** A plain copy in worker mode */
+    particle: Particle;
+    /** The name of the particle's layer, null without layers */
+    layerName: string | null;
+    /** Relative to the element */
+    x: number;
+    y: number;
+  }
+
+  /** Also fired as pg:name jQuery events, with the detail as an extra argument */
+  interface Events {
+    init: void;
+    destroy: void;
+    start: void;
+    pause: void;
+    resize: ResizeEvent;
+    frame: FrameEvent;
+    particleClick: ParticleClickEvent;
+    optionChange: Options;
+    qualityChange: QualityChangeEvent;
+  }
+
+  type Listener<K extends keyof Events> = (this: HTMLElement, detail: Events[K]) => void;
+
+  interface Instance {
+    /** Whether parallax is enabled, as in 1.x */
+    option(key: 'parallax'): boolean;
+    /** Get an option by key, e.g. 'links' or the alias 'proximity' */
+    option(key: string): any;
+    /** Set one option, or several */
+    option(key: string, value: any): void;
+    option(changes: Options): void;
+    /** Show or hide a layer by name, or toggle it without visible */
+    toggleLayer(name: string, visible?: boolean): void;
+    start(): void;
+    pause(): void;
+    destroy(): void;
+    exportFrame(settings?: ExportSettings): Promise<Blob>;
+    /** A WebM video that loops seamlessly */
+    record(settings?: RecordSettings): Promise<Blob>;
+    on<K extends keyof Events>(name: K, listener: Listener<K>): void;
+    once<K extends keyof Events>(name: K, listener: Listener<K>): void;
+    /** Without a listener, removes all of name's. Without a name, all */
+    off<K extends keyof Events>(name?: K, listener?: Listener<K>): void;
+  }
+
+  interface Particle {
+    position: { x: number; y: number };
+    /** Pixels per second */
+    speed: { x: number; y: number };
+    parallaxOffsetX: number;
+    parallaxOffsetY: number;
+    /** Parallax depth, 1 to 3 unless the layer sets it */
+    layer: number;
+    color: string;
+    radius: number;
+    angle: number;
+    /** Radians per second */
+    spin: number;
+    /** Added by spawn(). These are kept whatever the density */
+    spawned: boolean;
+  }
+
+  /** The simulation without any DOM or canvas. Runs in Node too. */
+  class ParticleSystem {
+    constructor(options?: Options, width?: number, height?: number);
+    options: ResolvedOptions;
+    width: number;
+    height: number;
+    particles: Particle[];
+    /** Pointer position in the system's coordinates, for interaction modes */
+    pointer: { x: number; y: number; active: boolean };
+    /** Offset of the pointer from the centre of the viewport, for parallax */
+    parallaxPointer: { x: number; y: number };
+    /** One system per options.layers entry, back to front. null without layers */
+    layers: ParticleSystem[] | null;
+    /** Set on layers */
+    name?: string;
+    visible?: boolean;
+    /** The layers to draw, or just this system without layers */
+    visibleLayers(): ParticleSystem[];
+    /** Multiplier on all motion */
+    timeScale: number;
+    /** Scale on particle count and link reach, set by adaptive mode */
+    quality: number;
+    setQuality(quality: number): void;
+    /** links.proximity, at this quality */
+    linkProximity(): number;
+    random: () => number;
+    /** Advance by dt seconds */
+    step(dt: number): void;
+    /** Resolve collisions between touching particles */
+    collide(): void;
+    resize(width: number, height: number): void;
+    spawn(x: number, y: number, count: number): void;
+    /** Pairs of particles within links.proximity, with their distance */
+    links(): Array<[Particle, Particle, number]>;
+    links(callback: (p1: Particle, p2: Particle, distance: number) => void): void;
+    /** The particle drawn at (x, y), if any */
+    particleAt(x: number, y: number): Particle | null;
+    /** Particles within interaction.radius of the pointer */
+    nearPointer(): Particle[];
+    /** Apply option changes that have already been merged into options */
+    apply(changes: Options): void;
+  }
+
+  interface Renderer {
+    /** The element pointer positions are measured against */
+    node: Element;
+    /** Create the node. false if unsupported */
+    init(): boolean;
+    /** Size in CSS pixels */
+    resize(width: number, height: number, pixelRatio: number): void;
+    render(system: ParticleSystem): void;
+    apply(changes: Options): void;
+    destroy(): void;
+  }
+
+  interface RendererConstructor {
+    new (element: HTMLElement | null, options: ResolvedOptions, offscreen: { canvas: OffscreenCanvas } | null): Renderer;
+  }
+
+  const defaults: ResolvedOptions;
+  /** Constructors by renderer option name. Add one to register a renderer */
+  const renderers: { [name: string]: RendererConstructor };
+  /** Script the worker option loads. Set it when bundling */
+  let workerUrl: string | null;
+  /**
+   * Displacement of a particle at (dx, dy) from the pointer, for the
+   * interaction modes. Falls off linearly from strength at the pointer to 0
+   * at radius. attract never overshoots the pointer.
+   */
+  const forces: {
+    repulse(dx: number, dy: number, radius: number, strength: number): { x: number; y: number };
+    attract(dx: number, dy: number, radius: number, strength: number): { x: number; y: number };
+  };
+  /** Seedable PRNG, a drop-in for Math.random() */
+  function random(seed: number | string): () => number;
+  /** Add $.fn.particleground, done automatically for script tags */
+  function useJQuery(jQuery: any): void;
+  /** Register the custom element, done automatically for script tags */
+  function defineElement(name?: string): void;
+  /**
+   * Set up [data-particleground] elements, now and as they are added. Done
+   * automatically for script tags, unless they have data-auto-init="false"
+   */
+  function autoStart(): void;
+
+  /**
+   * <particle-ground>. Options are kebab-case attributes, e.g. dot-color,
+   * parsed as JSON where they can be
+   */
+  interface ParticleGroundElement extends HTMLElement {
+    particleground?: Instance;
+  }
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'particle-ground': particleground.ParticleGroundElement;
+  }
+  interface HTMLElement {
+    /** Set on [data-particleground] elements */
+    particleground?: particleground.Instance;
+  }
+}
@@ -7,10 +7,4 @@
  *
  * Inspired by http://requestlab.fr/ and http://disruptivebydesign.com/
  */
-!function(a,b){"use strict";function c(a){a=a||{};for(var b=1;b<arguments.length;b++){var c=arguments[b];if(c)for(var d in c)c.hasOwnProperty(d)&&("object"==typeof c[d]?deepExtend(a[d],c[d]):a[d]=c[d])}return a}function d(d,g){function h(){if(y){r=b.createElement("canvas"),r.className="pg-canvas",r.style.display="block",d.insertBefore(r,d.firstChild),s=r.getContext("2d"),i();for(var c=Math.round(r.width*r.height/g.density),e=0;c>e;e++){var f=new n;f.setStackPos(e),z.push(f)}a.addEventListener("resize",function(){k()},!1),b.addEventListener("mousemove",function(a){A=a.pageX,B=a.pageY},!1),D&&!C&&a.addEventListener("deviceorientation",function(){F=Math.min(Math.max(-event.beta,-30),30),E=Math.min(Math.max(-event.gamma,-30),30)},!0),j(),q("onInit")}}function i(){r.width=d.offsetWidth,r.height=d.offsetHeight,s.fillStyle=g.dotColor,s.strokeStyle=g.lineColor,s.lineWidth=g.lineWidth}function j(){if(y){u=a.innerWidth,v=a.innerHeight,s.clearRect(0,0,r.width,r.height);for(var b=0;b<z.length;b++)z[b].updatePosition();for(var b=0;b<z.length;b++)z[b].draw();G||(t=requestAnimationFrame(j))}}function k(){i();for(var a=d.offsetWidth,b=d.offsetHeight,c=z.length-1;c>=0;c--)(z[c].position.x>a||z[c].position.y>b)&&z.splice(c,1);var e=Math.round(r.width*r.height/g.density);if(e>z.length)for(;e>z.length;){var f=new n;z.push(f)}else e<z.length&&z.splice(e);for(c=z.length-1;c>=0;c--)z[c].setStackPos(c)}function l(){G=!0}function m(){G=!1,j()}function n(){switch(this.stackPos,this.active=!0,this.layer=Math.ceil(3*Math.random()),this.parallaxOffsetX=0,this.parallaxOffsetY=0,this.position={x:Math.ceil(Math.random()*r.width),y:Math.ceil(Math.random()*r.height)},this.speed={},g.directionX){case"left":this.speed.x=+(-g.maxSpeedX+Math.random()*g.maxSpeedX-g.minSpeedX).toFixed(2);break;case"right":this.speed.x=+(Math.random()*g.maxSpeedX+g.minSpeedX).toFixed(2);break;default:this.speed.x=+(-g.maxSpeedX/2+Math.random()*g.maxSpeedX).toFixed(2),this.speed.x+=this.speed.x>0?g.minSpeedX:-g.minSpeedX}switch(g.directionY){case"up":this.speed.y=+(-g.maxSpeedY+Math.random()*g.maxSpeedY-g.minSpeedY).toFixed(2);break;case"down":this.speed.y=+(Math.random()*g.maxSpeedY+g.minSpeedY).toFixed(2);break;default:this.speed.y=+(-g.maxSpeedY/2+Math.random()*g.maxSpeedY).toFixed(2),this.speed.x+=this.speed.y>0?g.minSpeedY:-g.minSpeedY}}function o(a,b){return b?void(g[a]=b):g[a]}function p(){console.log("destroy"),r.parentNode.removeChild(r),q("onDestroy"),f&&f(d).removeData("plugin_"+e)}function q(a){void 0!==g[a]&&g[a].call(d)}var r,s,t,u,v,w,x,y=!!b.createElement("canvas").getContext,z=[],A=0,B=0,C=!navigator.userAgent.match(/(iPhone|iPod|iPad|Android|BlackBerry|BB10|mobi|tablet|opera mini|nexus 7)/i),D=!!a.DeviceOrientationEvent,E=0,F=0,G=!1;return g=c({},a[e].defaults,g),n.prototype.draw=function(){s.beginPath(),s.arc(this.position.x+this.parallaxOffsetX,this.position.y+this.parallaxOffsetY,g.particleRadius/2,0,2*Math.PI,!0),s.closePath(),s.fill(),s.beginPath();for(var a=z.length-1;a>this.stackPos;a--){var b=z[a],c=this.position.x-b.position.x,d=this.position.y-b.position.y,e=Math.sqrt(c*c+d*d).toFixed(2);e<g.proximity&&(s.moveTo(this.position.x+this.parallaxOffsetX,this.position.y+this.parallaxOffsetY),g.curvedLines?s.quadraticCurveTo(Math.max(b.position.x,b.position.x),Math.min(b.position.y,b.position.y),b.position.x+b.parallaxOffsetX,b.position.y+b.parallaxOffsetY):s.lineTo(b.position.x+b.parallaxOffsetX,b.position.y+b.parallaxOffsetY))}s.stroke(),s.closePath()},n.prototype.updatePosition=function(){if(g.parallax){if(D&&!C){var a=(u-0)/60;w=(E- -30)*a+0;var b=(v-0)/60;x=(F- -30)*b+0}else w=A,x=B;this.parallaxTargX=(w-u/2)/(g.parallaxMultiplier*this.layer),this.parallaxOffsetX+=(this.parallaxTargX-this.parallaxOffsetX)/10,this.parallaxTargY=(x-v/2)/(g.parallaxMultiplier*this.layer),this.parallaxOffsetY+=(this.parallaxTargY-this.parallaxOffsetY)/10}var c=d.offsetWidth,e=d.offsetHeight;switch(g.directionX){case"left":this.position.x+this.speed.x+this.parallaxOffsetX<0&&(this.position.x=c-this.parallaxOffsetX);break;case"right":this.position.x+this.speed.x+this.parallaxOffsetX>c&&(this.position.x=0-this.parallaxOffsetX);break;default:(this.position.x+this.speed.x+this.parallaxOffsetX>c||this.position.x+this.speed.x+this.parallaxOffsetX<0)&&(this.speed.x=-this.speed.x)}switch(g.directionY){case"up":this.position.y+this.speed.y+this.parallaxOffsetY<0&&(this.position.y=e-this.parallaxOffsetY);break;case"down":this.position.y+this.speed.y+this.parallaxOffsetY>e&&(this.position.y=0-this.parallaxOffsetY);break;default:(this.position.y+this.speed.y+this.parallaxOffsetY>e||this.position.y+this.speed.y+this.parallaxOffsetY<0)&&(this.speed.y=-this.speed.y)}this.position.x+=this.speed.x,this.position.y+=this.speed.y},n.prototype.setStackPos=function(a){this.stackPos=a},h(),{option:o,destroy:p,start:m,pause:l}}var e="particleground",f=a.jQuery;a[e]=function(a,b){return new d(a,b)},a[e].defaults={minSpeedX:.1,maxSpeedX:.7,minSpeedY:.1,maxSpeedY:.7,directionX:"center",directionY:"center",density:1e4,dotColor:"#666666",lineColor:"#666666",particleRadius:7,lineWidth:1,curvedLines:!1,proximity:100,parallax:!0,parallaxMultiplier:5,onInit:function(){},onDestroy:function(){}},f&&(f.fn[e]=function(a){if("string"==typeof arguments[0]){var b,c=arguments[0],g=Array.prototype.slice.call(arguments,1);return this.each(function(){f.data(this,"plugin_"+e)&&"function"==typeof f.data(this,"plugin_"+e)[c]&&(b=f.data(this,"plugin_"+e)[c].apply(this,g))}),void 0!==b?b:this}return"object"!=typeof a&&a?void 0:this.each(function(){f.data(this,"plugin_"+e)||f.data(this,"plugin_"+e,new d(this,a))})})}(window,document),/**
- * requestAnimationFrame polyfill by Erik Möller. fixes from Paul Irish and Tino Zijdel
- * @see: http://paulirish.com/2011/requestanimationframe-for-smart-animating/
- * @see: http://my.opera.com/emoller/blog/2011/12/20/requestanimationframe-for-smart-er-animating
- * @license: MIT license
- */
-function(){for(var a=0,b=["ms","moz","webkit","o"],c=0;c<b.length&&!window.requestAnimationFrame;++c)window.requestAnimationFrame=window[b[c]+"RequestAnimationFrame"],window.cancelAnimationFrame=window[b[c]+"CancelAnimationFrame"]||window[b[c]+"CancelRequestAnimationFrame"];window.requestAnimationFrame||(window.requestAnimationFrame=function(b){var c=(new Date).getTime(),d=Math.max(0,16-(c-a)),e=window.setTimeout(function(){b(c+d)},d);return a=c+d,e}),window.cancelAnimationFrame||(window.cancelAnimationFrame=function(a){clearTimeout(a)})}();
+!function(e,t){"function"==typeof define&&define.amd?define([],function(){return t(e,!1)}):"object"==typeof module&&module.exports?module.exports=t(e,!1):e.particleground=t(e,!0)}("undefined"!=typeof window?window:"undefined"!=typeof self?self:globalThis,function(e,t){"use strict";var i="particleground",r=e.document||null;function n(e){return"[object Object]"===Object.prototype.toString.call(e)}function o(e){e=e||{};for(var t=1;t<arguments.length;t++){var i=arguments[t];if(i)for(var r in i)if(i.hasOwnProperty(r)){var a=i[r];n(a)?e[r]=o(n(e[r])?e[r]:{},a):Array.isArray(a)?e[r]=o([],a):e[r]=a}}return e}var a={parallaxMultiplier:["parallax","multiplier"],proximity:["links","proximity"],lineWidth:["links","width"],lineColor:["links","color"],curvedLines:["links","curved"]};function s(e){var t=o({},e);for(var i in"boolean"==typeof t.parallax&&(t.parallax={enabled:t.parallax}),"boolean"==typeof t.adaptive&&(t.adaptive={enabled:t.adaptive}),a)if(a.hasOwnProperty(i)&&t.hasOwnProperty(i)){var r=a[i];t[r[0]]=n(t[r[0]])?t[r[0]]:{},t[r[0]][r[1]]=t[i],delete t[i]}return t}function l(e,t){if("parallax"===t)return e.parallax.enabled;var i=a[t];return i?e[i[0]][i[1]]:e[t]}var p=null,h=[];function c(e,t){if(!p||!p._data)return!1;for(var i=e;i;i=i.parentNode){var r=p._data(i,"events");if(r&&r["pg:"+t])return!0}return!1}var f=!!(e.Worker&&e.OffscreenCanvas&&e.HTMLCanvasElement&&HTMLCanvasElement.prototype.transferControlToOffscreen);function u(t){var i={};for(var r in t)if(t.hasOwnProperty(r)&&"function"!=typeof t[r]){var o=t[r];n(o)?o=u(o):e.HTMLImageElement&&o instanceof HTMLImageElement&&(o=o.src),i[r]=o}return i}function d(e){var t={};function i(e,i){(t[e]=t[e]||[]).push(i)}function r(e,i){e?i?t[e]&&(t[e]=t[e].filter(function(e){return e!==i&&e.listener!==i})):delete t[e]:t={}}return{on:i,off:r,once:function(e,t){function n(i){r(e,n),t.call(this,i)}n.listener=t,i(e,n)},has:function(e){return!(!t[e]||!t[e].length)},emit:function(i,r){for(var n=(t[i]||[]).slice(),o=0;o<n.length;o++)n[o].call(e,r)}}}function y(e){for(var t=0;t<e.length;t++)e[t][0].addEventListener(e[t][1],e[t][2],e[t][3])}function g(e){for(var t=0;t<e.length;t++)e[t][0].removeEventListener(e[t][1],e[t][2],e[t][3])}function v(t,i,n){var o,a={},s=[],l=e.matchMedia?e.matchMedia("(prefers-reduced-motion: reduce)"):null;function p(e,t){!!a[e]!==t&&(a[e]=t,t?n.suspend(e):n.resume(e))}function h(e){n.reducedMotion(e),"static"===i.reducedMotion.mode&&p("reducedMotion",e)}return l&&"ignore"!==i.reducedMotion.mode&&(l.addEventListener&&s.push([l,"change",function(e){h(e.matches)},!1]),l.matches&&h(!0)),i.pauseWhenHidden&&(s.push([r,"visibilitychange",function(){p("hidden",r.hidden)},!1]),p("hidden",!!r.hidden)),i.pauseWhenOffscreen&&e.IntersectionObserver&&(o=new IntersectionObserver(function(e){p("offscreen",!e[e.length-1].isIntersecting)})).observe(t),y(s),function(e){if(g(s),o&&o.disconnect(),e){for(var t in a)p(t,!1);l&&l.matches&&n.reducedMotion(!1)}}}function m(e,t){var i=e.touches?e.touches[0]||e.changedTouches[0]:e,r=t.getBoundingClientRect();return{pageX:i.pageX,pageY:i.pageY,x:i.clientX-r.left,y:i.clientY-r.top}}function x(e,t,i,r){var n=e*e+t*t;if(0===n||n>=i*i)return{x:0,y:0};var o=Math.sqrt(n),a=r*(1-o/i);return{x:e/o*a,y:t/o*a}}function w(e,t,i,r){var n=e*e+t*t;if(0===n||n>=i*i)return{x:0,y:0};var o=Math.sqrt(n),a=Math.min(r*(1-o/i),o);return{x:-e/o*a,y:-t/o*a}}function b(e,t,i,r,n,o,a){switch(t){case"square":M(e,i,r,n*Math.SQRT2,4,o+Math.PI/4);break;case"triangle":M(e,i,r,n,3,o-Math.PI/2);break;case"polygon":M(e,i,r,n,a,o-Math.PI/2);break;case"star":!function(e,t,i,r,n,o){e.moveTo(t+r*Math.cos(o),i+r*Math.sin(o));for(var a=1;a<2*n;a++){var s=o+a*Math.PI/n,l=a%2?r/2:r;e.lineTo(t+l*Math.cos(s),i+l*Math.sin(s))}}(e,i,r,n,a,o-Math.PI/2);break;default:e.arc(i,r,n,0,2*Math.PI,!0)}}function M(e,t,i,r,n,o){e.moveTo(t+r*Math.cos(o),i+r*Math.sin(o));for(var a=1;a<n;a++){var s=o+a*Math.PI*2/n;e.lineTo(t+r*Math.cos(s),i+r*Math.sin(s))}}function O(e,t){for(var i=0;i<t.length;i++)if(e.hasOwnProperty(t[i]))return!0;return!1}function P(e){var t;if("number"==typeof e)t=e>>>0;else{e=String(e),t=2166136261;for(var i=0;i<e.length;i++)t=Math.imul(t^e.charCodeAt(i),16777619);t>>>=0}return function(){t=t+1831565813>>>0;var e=Math.imul(t^t>>>15,1|t);return(((e^=e+Math.imul(e^e>>>7,61|e))^e>>>14)>>>0)/4294967296}}var S="undefined"!=typeof performance&&performance.now?function(){return performance.now()}:function(){return(new Date).getTime()},k=0,_=e.requestAnimationFrame?function(t){return e.requestAnimationFrame(t)}:function(e){var t=(new Date).getTime(),i=Math.max(0,16-(t-k));return k=t+i,setTimeout(function(){e(t+i)},i)},E=e.cancelAnimationFrame?function(t){e.cancelAnimationFrame(t)}:function(e){clearTimeout(e)},A=.1;var C=["reducedMotion","pauseWhenHidden","pauseWhenOffscreen"],R=["minSpeedX","maxSpeedX","directionX","minSpeedY","maxSpeedY","directionY"];function T(e,t){if(null!==e&&"object"==typeof e)return s(e);if(void 0!==t){var i={};return i[e]=t,s(i)}}function X(e,t){return o({},e,t,{layers:null,seed:null})}function Y(e,t){for(var i={},r=Object.keys(e).concat(Object.keys(t)),n=0;n<r.length;n++)JSON.stringify(e[r[n]])!==JSON.stringify(t[r[n]])&&(i[r[n]]=t[r[n]]);return i}function L(e,t,i){return(e||[]).map(function(e,r){return(e.name||String(r))!==t?e:o({},e,{visible:void 0===i?!1===e.visible:!!i})})}function I(e,t,i){this.options=o({},s(se.defaults),s(e)),this.width=t||0,this.height=i||0,this.particles=[],this.pointer={x:0,y:0,active:!1},this.parallaxPointer={x:0,y:0},this.timeScale=1,this.quality=1,this.colorIndex=0,this.grid=[],this.gridCols=0,this.gridRows=0,this.layers=null,this.seed(),this.buildLayers({}),this.adjustDensity()}function N(e){var t=e.random;this.system=e,this.stackPos,this.active=!0,this.spawned=!1,this.setDepth(),this.parallaxOffsetX=0,this.parallaxOffsetY=0,this.color=e.pickColor(),this.radius=e.pickSize()/2,this.setSpin(),this.position={x:Math.ceil(t()*e.width),y:Math.ceil(t()*e.height)},this.setSpeed()}function D(e){var t=r.createElement("canvas");return t.className="pg-canvas",t.style.display="block",e.insertBefore(t,e.firstChild),t}function F(e,t,i){if(e&&!1===e.complete)e.addEventListener("load",function(){i(e)});else if("string"==typeof e)if(t)fetch(e).then(function(e){return e.blob()}).then(createImageBitmap).then(i);else{var r=new Image;r.onload=function(){i(r)},r.src=e}else i(e)}function B(e,t,i){this.element=e,this.options=t,this.offscreen=i,this.sprite=null}function W(e,t,i,r){e.moveTo(t.position.x+t.parallaxOffsetX,t.position.y+t.parallaxOffsetY),r?e.quadraticCurveTo(Math.max(i.position.x,i.position.x),Math.min(i.position.y,i.position.y),i.position.x+i.parallaxOffsetX,i.position.y+i.parallaxOffsetY):e.lineTo(i.position.x+i.parallaxOffsetX,i.position.y+i.parallaxOffsetY)}I.prototype.seed=function(){var e=this.options.seed;this.random=null==e?Math.random:P(e)},I.prototype.step=function(e){if(this.layers)for(var t=this.visibleLayers(),i=0;i<t.length;i++)t[i].timeScale=this.timeScale,t[i].step(e);else{for(var r=0;r<this.particles.length;r++)this.particles[r].updatePosition(e);this.options.physics.collisions&&this.collide()}},I.prototype.resize=function(e,t){if(this.width=e,this.height=t,this.layers)for(var i=0;i<this.layers.length;i++)this.layers[i].resize(e,t);else for(var r=this.particles.length-1;r>=0;r--)(this.particles[r].position.x>e||this.particles[r].position.y>t)&&this.particles.splice(r,1);this.adjustDensity()},I.prototype.adjustDensity=function(){if(this.layers){for(var e=0;e<this.layers.length;e++)this.layers[e].quality=this.quality,this.layers[e].adjustDensity();this.gather()}else{var t,i=this.particles,r=Math.round(this.width*this.height/this.options.density*this.quality),n=0;for(t=0;t<i.length;t++)i[t].spawned||n++;for(;n<r;n++)i.push(new N(this));for(t=i.length-1;t>=0&&n>r;t--)i[t].spawned||(i.splice(t,1),n--);for(t=i.length-1;t>=0;t--)i[t].setStackPos(t)}},I.prototype.buildLayers=function(e){var t,i=this.options.layers||[],r={};for(t=0;this.layers&&t<this.layers.length;t++)r[this.layers[t].name]=this.layers[t];for(this.layers=i.length?[]:null,this.particles=[],t=0;t<i.length;t++){var n=s(i[t]),o=n.name||String(t),a=r[o];if(a){var l=Y(a.definition,n);for(var p in e)e.hasOwnProperty(p)&&!n.hasOwnProperty(p)&&"layers"!==p&&(l[p]=e[p]);a.options=X(this.options,n),a.apply(l)}else(a=new I(X(this.options,n))).name=o,a.random=this.random,a.pointer=this.pointer,a.parallaxPointer=this.parallaxPointer,a.width=this.width,a.height=this.height;delete r[o],a.definition=n,a.visible=!1!==n.visible,this.layers.push(a)}},I.prototype.visibleLayers=function(){return this.layers?this.layers.filter(function(e){return e.visible}):[this]},I.prototype.gather=function(){var e=this.visibleLayers();this.particles=[];for(var t=0;t<e.length;t++)this.particles.push.apply(this.particles,e[t].particles)},I.prototype.setQuality=function(e){this.quality=e,this.adjustDensity()},I.prototype.linkProximity=function(){return this.options.links.proximity*Math.sqrt(Math.min(this.quality,1))},I.prototype.spawn=function(e,t,i){if(this.layers){var r=this.visibleLayers();r.length&&(r[r.length-1].spawn(e,t,i),this.gather())}else for(var n=0;n<i;n++){var o=new N(this);o.position.x=e,o.position.y=t,o.spawned=!0,o.setStackPos(this.particles.length),this.particles.push(o)}},I.prototype.links=function(e){var t=e?void 0:[];if(this.layers){for(var i=this.visibleLayers(),r=0;r<i.length;r++){var n=i[r].links(e);t&&t.push.apply(t,n)}return t}var o=this.linkProximity();return o>0?(this.pairs(o,function(i,r,n){e?e(i,r,Math.sqrt(n)):t.push([i,r,Math.sqrt(n)])}),t):t},I.prototype.pairs=function(e,t){var i=e*e,r=this.particles,n=this.grid;this.buildGrid(e);for(var o=0;o<r.length;o++)for(var a=r[o],s=Math.max(a.cellX-1,0),l=Math.min(a.cellX+1,this.gridCols-1),p=Math.max(a.cellY-1,0),h=Math.min(a.cellY+1,this.gridRows-1),c=p;c<=h;c++)for(var f=s;f<=l;f++)for(var u=n[c*this.gridCols+f],d=0;d<u.length;d++){var y=u[d];if(!(y.stackPos<=a.stackPos)){var g=a.position.x-y.position.x,v=a.position.y-y.position.y,m=g*g+v*v;m<i&&t(a,y,m)}}},I.prototype.collide=function(){for(var e=0,t=0;t<this.particles.length;t++)e=Math.max(e,this.particles[t].radius);e&&this.pairs(2*e,function(e,t,i){var r=e.radius+t.radius;if(!(i>=r*r||0===i)){var n=Math.sqrt(i),o=(t.position.x-e.position.x)/n,a=(t.position.y-e.position.y)/n,s=e.radius*e.radius,l=t.radius*t.radius,p=(t.speed.x-e.speed.x)*o+(t.speed.y-e.speed.y)*a;if(p<0){var h=2*p/(s+l);e.speed.x+=h*l*o,e.speed.y+=h*l*a,t.speed.x-=h*s*o,t.speed.y-=h*s*a}var c=r-n;e.position.x-=o*c*l/(s+l),e.position.y-=a*c*l/(s+l),t.position.x+=o*c*s/(s+l),t.position.y+=a*c*s/(s+l)}})},I.prototype.buildGrid=function(e){var t=this.grid;this.gridCols=Math.max(1,Math.ceil(this.width/e)),this.gridRows=Math.max(1,Math.ceil(this.height/e)),t.length=this.gridCols*this.gridRows;for(var i=0;i<t.length;i++)t[i]?t[i].length=0:t[i]=[];for(i=0;i<this.particles.length;i++){var r=this.particles[i];r.cellX=Math.min(Math.max(Math.floor(r.position.x/e),0),this.gridCols-1),r.cellY=Math.min(Math.max(Math.floor(r.position.y/e),0),this.gridRows-1),t[r.cellY*this.gridCols+r.cellX].push(r)}},I.prototype.nearPointer=function(){var e=[];if(!this.pointer.active)return e;for(var t=this.options.interaction.radius,i=0;i<this.particles.length;i++){var r=this.particles[i],n=r.position.x+r.parallaxOffsetX-this.pointer.x,o=r.position.y+r.parallaxOffsetY-this.pointer.y;n*n+o*o<t*t&&e.push(r)}return e},I.prototype.particleAt=function(e,t){for(var i=this.particles.length-1;i>=0;i--){var r=this.particles[i],n=r.position.x+r.parallaxOffsetX-e,o=r.position.y+r.parallaxOffsetY-t,a=r.radius+4;if(n*n+o*o<a*a)return r}return null},I.prototype.pickColor=function(){var e=this.options.dotColor;return Array.isArray(e)?"cycle"===this.options.dotColorOrder?e[this.colorIndex++%e.length]:e[Math.floor(this.random()*e.length)]:e},I.prototype.pickSize=function(){var e=this.options.particleRadius;return Array.isArray(e)?e[0]+this.random()*(e[1]-e[0]):e},I.prototype.apply=function(e){var t,i=this.particles;if(e.hasOwnProperty("seed"))return this.seed(),this.colorIndex=0,i.length=0,this.layers=null,this.buildLayers({}),void this.adjustDensity();if(this.layers||e.hasOwnProperty("layers"))return this.buildLayers(e),void this.adjustDensity();if(e.hasOwnProperty("dotColor")||e.hasOwnProperty("dotColorOrder"))for(this.colorIndex=0,t=0;t<i.length;t++)i[t].color=this.pickColor();if(e.hasOwnProperty("density")&&this.adjustDensity(),e.hasOwnProperty("particleRadius")||e.hasOwnProperty("rotationSpeed"))for(t=0;t<i.length;t++)i[t].radius=this.pickSize()/2,i[t].setSpin();if(O(e,R))for(t=0;t<i.length;t++)i[t].setSpeed();if(e.hasOwnProperty("depth"))for(t=0;t<i.length;t++)i[t].setDepth()},N.prototype.setSpeed=function(){var e=this.system.options,t=this.system.random;switch(this.speed={},e.directionX){case"left":this.speed.x=+(-e.maxSpeedX+t()*e.maxSpeedX-e.minSpeedX).toFixed(2);break;case"right":this.speed.x=+(t()*e.maxSpeedX+e.minSpeedX).toFixed(2);break;default:this.speed.x=+(-e.maxSpeedX/2+t()*e.maxSpeedX).toFixed(2),this.speed.x+=this.speed.x>0?e.minSpeedX:-e.minSpeedX}switch(e.directionY){case"up":this.speed.y=+(-e.maxSpeedY+t()*e.maxSpeedY-e.minSpeedY).toFixed(2);break;case"down":this.speed.y=+(t()*e.maxSpeedY+e.minSpeedY).toFixed(2);break;default:this.speed.y=+(-e.maxSpeedY/2+t()*e.maxSpeedY).toFixed(2),this.speed.y+=this.speed.y>0?e.minSpeedY:-e.minSpeedY}},N.prototype.setDepth=function(){this.layer=this.system.options.depth||Math.ceil(3*this.system.random())},N.prototype.setSpin=function(){var e=this.system.options.rotationSpeed,t=this.system.random;this.angle=e?t()*Math.PI*2:0,this.spin=(2*t()-1)*e},N.prototype.updatePosition=function(e){var t=this.system,i=t.options,r=e*t.timeScale;if(i.parallax.enabled&&t.quality>=.5){this.parallaxTargX=t.parallaxPointer.x/(i.parallax.multiplier*this.layer);var n=1-Math.pow(1-i.parallax.easing,60*e);this.parallaxOffsetX+=(this.parallaxTargX-this.parallaxOffsetX)*n,this.parallaxTargY=t.parallaxPointer.y/(i.parallax.multiplier*this.layer),this.parallaxOffsetY+=(this.parallaxTargY-this.parallaxOffsetY)*n}var o=i.interaction.mode;if(t.pointer.active&&("repulse"===o||"attract"===o)){var a=("repulse"===o?x:w)(this.position.x+this.parallaxOffsetX-t.pointer.x,this.position.y+this.parallaxOffsetY-t.pointer.y,i.interaction.radius,i.interaction.strength*r);this.position.x+=a.x,this.position.y+=a.y}var s=i.physics,l=this.speed;if(l.x+=(s.gravity.x+s.wind.x)*r,l.y+=(s.gravity.y+s.wind.y)*r,s.friction){var p=Math.pow(1-s.friction,r);l.x*=p,l.y*=p}if(s.maxSpeed){var h=Math.sqrt(l.x*l.x+l.y*l.y);h>s.maxSpeed&&(l.x*=s.maxSpeed/h,l.y*=s.maxSpeed/h)}var c=this.edge("x",l.x*r,t.width),f=this.edge("y",l.y*r,t.height);c&&f&&(this.position.x+=this.speed.x*r,this.position.y+=this.speed.y*r,this.angle+=this.spin*r)},N.prototype.edge=function(e,t,i){var r="x"===e?this.parallaxOffsetX:this.parallaxOffsetY,n=this.position[e]+t+r;if(n>=0&&n<=i)return!0;switch(function(e,t){return e.boundary?e.boundary:"center"===e["x"===t?"directionX":"directionY"]?"bounce":"wrap"}(this.system.options,e)){case"bounce":this.speed[e]=-this.speed[e];break;case"wrap":this.position[e]=(n<0?i:0)-r;break;case"destroy-and-respawn":return this.respawn(e,n<0?i:0),!1}return!0},N.prototype.respawn=function(e,t){var i=this.system,r="x"===e?"y":"x";this.setSpeed(),0===t!=this.speed[e]>0&&(this.speed[e]=-this.speed[e]),this.position[e]=t-("x"===e?this.parallaxOffsetX:this.parallaxOffsetY),this.position[r]=i.random()*("x"===r?i.width:i.height)},N.prototype.setStackPos=function(e){this.stackPos=e},B.prototype.init=function(){if(this.offscreen)this.node=this.offscreen.canvas;else{if(!r.createElement("canvas").getContext)return!1;this.node=D(this.element)}return this.ctx=this.node.getContext("2d"),this.ctx?(this.loadSprite(),!0):(this.destroy(),!1)},B.prototype.resize=function(e,t,i){var r=this.node;this.width=e,this.height=t,r.width=Math.round(e*i),r.height=Math.round(t*i),this.offscreen||(r.style.width=e+"px",r.style.height=t+"px"),this.ctx.setTransform(i,0,0,i,0,0),this.styleContext()},B.prototype.styleContext=function(){this.ctx.strokeStyle=this.options.links.color,this.ctx.lineWidth=this.options.links.width},B.prototype.apply=function(e){e.hasOwnProperty("links")&&this.styleContext(),e.hasOwnProperty("image")&&this.loadSprite()},B.prototype.loadSprite=function(){var e=this,t=this.options.image;this.sprite=null,F(t,!!this.offscreen,function(i){e.options.image===t&&(e.sprite=i)})},B.prototype.render=function(e){var t=this.ctx,i=e.visibleLayers();t.clearRect(0,0,this.width,this.height);for(var r=0;r<i.length;r++)this.drawLayer(i[r]);if(this.styleContext(),"grab"===this.options.interaction.mode){var n=e.nearPointer();t.beginPath();for(var o=0;o<n.length;o++)t.moveTo(e.pointer.x,e.pointer.y),t.lineTo(n[o].position.x+n[o].parallaxOffsetX,n[o].position.y+n[o].parallaxOffsetY);t.stroke(),t.closePath()}},B.prototype.drawLayer=function(e){var t=this.ctx,i=e.options.links,r=e.linkProximity();t.strokeStyle=i.color,t.lineWidth=i.width,i.gradient||i.fade?(e.links(function(e,n,o){if(t.beginPath(),W(t,e,n,i.curved),i.gradient){var a=t.createLinearGradient(e.position.x+e.parallaxOffsetX,e.position.y+e.parallaxOffsetY,n.position.x+n.parallaxOffsetX,n.position.y+n.parallaxOffsetY);a.addColorStop(0,e.color),a.addColorStop(1,n.color),t.strokeStyle=a}i.fade&&(t.globalAlpha=1-o/r),t.stroke()}),t.globalAlpha=1,t.strokeStyle=i.color):(t.beginPath(),e.links(function(e,r){W(t,e,r,i.curved)}),t.stroke(),t.closePath());for(var n=0;n<e.particles.length;n++)this.drawParticle(e.particles[n])},B.prototype.drawParticle=function(e){var t=this.ctx,i=this.options,r=this.sprite,n=e.position.x+e.parallaxOffsetX,o=e.position.y+e.parallaxOffsetY;if("image"===i.shape){if(r&&r.width){var a=2*e.radius;e.angle?(t.save(),t.translate(n,o),t.rotate(e.angle),t.drawImage(r,-e.radius,-e.radius,a,a),t.restore()):t.drawImage(r,n-e.radius,o-e.radius,a,a)}}else t.fillStyle=e.color,t.beginPath(),b(t,i.shape,n,o,e.radius,e.angle,i.sides),t.closePath(),t.fill()},B.prototype.destroy=function(){!this.offscreen&&this.node&&this.node.parentNode&&this.node.parentNode.removeChild(this.node)};var j="http://www.w3.org/2000/svg",q=0;function G(e,t,i){this.element=e,this.options=t,this.offscreen=i,this.id="pg"+q++}function U(e,t){for(var i in t)e.setAttribute(i,t[i])}function H(e){for(;e.lastChild;)e.removeChild(e.lastChild)}function z(e,t,i){var n=e.childNodes;for(n.length&&n[0].tagName!==i&&H(e);n.length>t;)e.removeChild(e.lastChild);for(;n.length<t;)e.appendChild(r.createElementNS(j,i));return n}function Q(e,t,i,r,n,o,a,s){U(e,{id:t,gradientUnits:"userSpaceOnUse",x1:i,y1:r,x2:n,y2:o});var l=z(e,2,"stop");U(l[0],{offset:0,"stop-color":a}),U(l[1],{offset:1,"stop-color":s})}function J(e,t,i,r,n,o){var a="";return b({moveTo:function(e,t){a+="M"+e+" "+t},lineTo:function(e,t){a+="L"+e+" "+t}},e,t,i,r,n,o),a+"Z"}function V(e,t,i){this.element=e,this.options=t,this.offscreen=i,this.sprite=null,this.instances=new Float32Array(0),this.lines=new Float32Array(0),this.meshSize=0}G.prototype.init=function(){if(this.offscreen||!r||!r.createElementNS)return!1;var e=this.node=r.createElementNS(j,"svg");return e.setAttribute("class","pg-canvas"),e.style.display="block",this.layerGroups=[],this.grabGroup=e.appendChild(r.createElementNS(j,"g")),this.element.insertBefore(e,this.element.firstChild),this.apply({links:!0}),!0},G.prototype.resize=function(e,t){var i=this.node;i.setAttribute("width",e),i.setAttribute("height",t),i.setAttribute("viewBox","0 0 "+e+" "+t)},G.prototype.apply=function(e){var t,i=this.options.links;if(e.hasOwnProperty("links")||e.hasOwnProperty("layers"))for(this.grabGroup.setAttribute("stroke",i.color),this.grabGroup.setAttribute("stroke-width",i.width),t=0;t<this.layerGroups.length;t++)H(this.layerGroups[t].links),H(this.layerGroups[t].defs);if(e.hasOwnProperty("shape")||e.hasOwnProperty("image"))for(t=0;t<this.layerGroups.length;t++)H(this.layerGroups[t].dots)},G.prototype.render=function(e){for(var t,i=e.visibleLayers(),n=this.layerGroups;n.length>i.length;)this.node.removeChild(n.pop().node);for(t=0;t<i.length;t++){var o=n[t];o?o.layer!==i[t]&&(H(o.defs),H(o.links),H(o.dots)):((o=n[t]={node:r.createElementNS(j,"g")}).defs=o.node.appendChild(r.createElementNS(j,"defs")),o.links=o.node.appendChild(r.createElementNS(j,"g")),o.dots=o.node.appendChild(r.createElementNS(j,"g")),o.links.setAttribute("fill","none"),this.node.insertBefore(o.node,this.grabGroup)),o.layer=i[t],this.renderLayer(i[t],o,this.id+"-"+t)}var a="grab"===this.options.interaction.mode?e.nearPointer():[],s=z(this.grabGroup,a.length,"line");for(t=0;t<a.length;t++)U(s[t],{x1:e.pointer.x,y1:e.pointer.y,x2:a[t].position.x+a[t].parallaxOffsetX,y2:a[t].position.y+a[t].parallaxOffsetY})},G.prototype.renderLayer=function(e,t,i){var r,n=this.options,o=e.options.links,a=e.linkProximity(),s=e.particles;t.links.setAttribute("stroke",o.color),t.links.setAttribute("stroke-width",o.width);var l=e.links(),p=z(t.links,l.length,o.curved?"path":"line"),h=o.gradient?z(t.defs,l.length,"linearGradient"):[];for(r=0;r<l.length;r++){var c=l[r][0],f=l[r][1],u=c.position.x+c.parallaxOffsetX,d=c.position.y+c.parallaxOffsetY,y=f.position.x+f.parallaxOffsetX,g=f.position.y+f.parallaxOffsetY,v=p[r];o.curved?v.setAttribute("d","M"+u+" "+d+"Q"+f.position.x+" "+f.position.y+" "+y+" "+g):U(v,{x1:u,y1:d,x2:y,y2:g}),o.gradient&&(Q(h[r],i+"-"+r,u,d,y,g,c.color,f.color),v.setAttribute("stroke","url(#"+i+"-"+r+")")),o.fade&&v.setAttribute("stroke-opacity",1-l[r][2]/a)}var m=n.shape,x=z(t.dots,s.length,"circle"===m?"circle":"image"===m?"image":"path");for(r=0;r<s.length;r++){var w=s[r],b=w.position.x+w.parallaxOffsetX,M=w.position.y+w.parallaxOffsetY,O=x[r];if("circle"===m)U(O,{cx:b,cy:M,r:w.radius,fill:w.color});else if("image"===m){U(O,{href:("string"==typeof n.image?n.image:n.image&&n.image.src)||"",x:b-w.radius,y:M-w.radius,width:2*w.radius,height:2*w.radius,transform:w.angle?"rotate("+180*w.angle/Math.PI+" "+b+" "+M+")":""})}else U(O,{d:J(m,b,M,w.radius,w.angle,n.sides),fill:w.color})}},G.prototype.destroy=function(){this.node&&this.node.parentNode&&this.node.parentNode.removeChild(this.node)};var Z=["attribute vec2 a_vertex;attribute vec2 a_center;attribute float a_radius;attribute float a_angle;attribute vec4 a_color;uniform vec2 u_resolution;varying vec4 v_color;varying vec2 v_texCoord;void main() {  float c = cos(a_angle);  float s = sin(a_angle);  vec2 position = a_center + mat2(c, s, -s, c) * a_vertex * a_radius;  vec2 clip = position / u_resolution * 2.0 - 1.0;  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);  v_color = a_color;  v_texCoord = a_vertex * 0.5 + 0.5;}","precision mediump float;uniform bool u_image;uniform sampler2D u_sprite;varying vec4 v_color;varying vec2 v_texCoord;void main() {  if (u_image) {    gl_FragColor = texture2D(u_sprite, v_texCoord);    return;  }  gl_FragColor = vec4(v_color.rgb * v_color.a, v_color.a);}"],$=["attribute vec2 a_position;attribute vec4 a_color;uniform vec2 u_resolution;varying vec4 v_color;void main() {  vec2 clip = a_position / u_resolution * 2.0 - 1.0;  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);  v_color = a_color;}","precision mediump float;varying vec4 v_color;void main() {  gl_FragColor = vec4(v_color.rgb * v_color.a, v_color.a);}"];function K(e,t){for(var i=e.createProgram(),r=[e.VERTEX_SHADER,e.FRAGMENT_SHADER],n=0;n<2;n++){var o=e.createShader(r[n]);if(e.shaderSource(o,t[n]),e.compileShader(o),!e.getShaderParameter(o,e.COMPILE_STATUS))return null;e.attachShader(i,o)}return e.linkProgram(i),e.getProgramParameter(i,e.LINK_STATUS)?i:null}function ee(e,t,i,r,n,o){var a=e.getAttribLocation(t,i);return e.enableVertexAttribArray(a),e.vertexAttribPointer(a,r,e.FLOAT,!1,4*n,4*o),a}function te(e,t){return e.length<t.length&&(e=new Float32Array(2*t.length)),e.set(t),e.subarray(0,t.length)}V.prototype.init=function(){var t;if(this.offscreen)t=this.offscreen.canvas;else{if(!e.WebGLRenderingContext)return!1;t=D(this.element)}this.node=t;var i=this.gl=t.getContext("webgl")||t.getContext("experimental-webgl");return this.instancing=i&&i.getExtension("ANGLE_instanced_arrays"),this.instancing&&(this.shapeProgram=K(i,Z))&&(this.lineProgram=K(i,$))?(this.meshBuffer=i.createBuffer(),this.instanceBuffer=i.createBuffer(),this.lineBuffer=i.createBuffer(),this.texture=i.createTexture(),i.enable(i.BLEND),i.blendFunc(i.ONE,i.ONE_MINUS_SRC_ALPHA),i.clearColor(0,0,0,0),this.buildMesh(),this.loadSprite(),!0):(this.destroy(),!1)},V.prototype.resize=function(e,t,i){var r=this.node;this.width=e,this.height=t,this.pixelRatio=i,r.width=Math.round(e*i),r.height=Math.round(t*i),this.offscreen||(r.style.width=e+"px",r.style.height=t+"px"),this.gl.viewport(0,0,r.width,r.height)},V.prototype.apply=function(e){(e.hasOwnProperty("shape")||e.hasOwnProperty("sides"))&&this.buildMesh(),e.hasOwnProperty("image")&&this.loadSprite()},V.prototype.buildMesh=function(){var e=this.gl,t=function(e,t){if("image"===e)return[-1,-1,1,-1,1,1,-1,-1,1,1,-1,1];var i=[];b({moveTo:function(e,t){i.push(e,t)},lineTo:function(e,t){i.push(e,t)},arc:function(e,t,r){for(var n=0;n<32;n++){var o=n*Math.PI*2/32;i.push(e+r*Math.cos(o),t+r*Math.sin(o))}}},e,0,0,1,0,t);for(var r=[],n=0;n<i.length;n+=2){var o=(n+2)%i.length;r.push(0,0,i[n],i[n+1],i[o],i[o+1])}return r}(this.options.shape,this.options.sides);this.meshSize=t.length/2,e.bindBuffer(e.ARRAY_BUFFER,this.meshBuffer),e.bufferData(e.ARRAY_BUFFER,new Float32Array(t),e.STATIC_DRAW)},V.prototype.loadSprite=function(){var e=this,t=this.options.image;this.sprite=null,t&&F(t,!!this.offscreen,function(i){var r=e.gl;e.options.image===t&&r&&(r.bindTexture(r.TEXTURE_2D,e.texture),r.pixelStorei(r.UNPACK_PREMULTIPLY_ALPHA_WEBGL,!0),r.texImage2D(r.TEXTURE_2D,0,r.RGBA,r.RGBA,r.UNSIGNED_BYTE,i),r.texParameteri(r.TEXTURE_2D,r.TEXTURE_MIN_FILTER,r.LINEAR),r.texParameteri(r.TEXTURE_2D,r.TEXTURE_WRAP_S,r.CLAMP_TO_EDGE),r.texParameteri(r.TEXTURE_2D,r.TEXTURE_WRAP_T,r.CLAMP_TO_EDGE),e.sprite=i)})},V.prototype.render=function(e){var t,i=this.options,r=e.visibleLayers();for(this.gl.clear(this.gl.COLOR_BUFFER_BIT),t=0;t<r.length;t++)this.renderLayer(r[t]);if("grab"===i.interaction.mode){var n=ne(i.links.color),o=e.nearPointer(),a=[];for(t=0;t<o.length;t++)a.push(e.pointer.x,e.pointer.y,n[0],n[1],n[2],n[3],o[t].position.x+o[t].parallaxOffsetX,o[t].position.y+o[t].parallaxOffsetY,n[0],n[1],n[2],n[3]);this.drawLines(a,i.links.width)}},V.prototype.renderLayer=function(e){var t=this.options,i=e.options.links,r=e.particles,n=ne(i.color),o=e.linkProximity(),a=[];if(e.links(function(e,t,r){var s=i.fade?1-r/o:1,l=i.gradient?ne(e.color):n,p=i.gradient?ne(t.color):n;a.push(e.position.x+e.parallaxOffsetX,e.position.y+e.parallaxOffsetY,l[0],l[1],l[2],l[3]*s,t.position.x+t.parallaxOffsetX,t.position.y+t.parallaxOffsetY,p[0],p[1],p[2],p[3]*s)}),this.drawLines(a,i.width),"image"!==t.shape||this.sprite){for(var s=[],l=0;l<r.length;l++){var p=r[l],h=ne(p.color);s.push(p.position.x+p.parallaxOffsetX,p.position.y+p.parallaxOffsetY,p.radius,p.angle,h[0],h[1],h[2],h[3])}this.drawShapes(s)}},V.prototype.drawLines=function(e,t){var i=this.gl;e.length&&(this.lines=te(this.lines,e),i.useProgram(this.lineProgram),i.uniform2f(i.getUniformLocation(this.lineProgram,"u_resolution"),this.width,this.height),i.lineWidth(t),i.bindBuffer(i.ARRAY_BUFFER,this.lineBuffer),i.bufferData(i.ARRAY_BUFFER,this.lines,i.DYNAMIC_DRAW),ee(i,this.lineProgram,"a_position",2,6,0),ee(i,this.lineProgram,"a_color",4,6,2),i.drawArrays(i.LINES,0,e.length/6))},V.prototype.drawShapes=function(e){var t=this.gl,i=this.instancing,r=this.shapeProgram;if(e.length){this.instances=te(this.instances,e),t.useProgram(r),t.uniform2f(t.getUniformLocation(r,"u_resolution"),this.width,this.height),t.uniform1i(t.getUniformLocation(r,"u_image"),"image"===this.options.shape?1:0),t.bindTexture(t.TEXTURE_2D,this.texture),t.bindBuffer(t.ARRAY_BUFFER,this.meshBuffer),ee(t,r,"a_vertex",2,2,0),t.bindBuffer(t.ARRAY_BUFFER,this.instanceBuffer),t.bufferData(t.ARRAY_BUFFER,this.instances,t.DYNAMIC_DRAW);var n,o=[ee(t,r,"a_center",2,8,0),ee(t,r,"a_radius",1,8,2),ee(t,r,"a_angle",1,8,3),ee(t,r,"a_color",4,8,4)];for(n=0;n<o.length;n++)i.vertexAttribDivisorANGLE(o[n],1);for(i.drawArraysInstancedANGLE(t.TRIANGLES,0,this.meshSize,e.length/8),n=0;n<o.length;n++)i.vertexAttribDivisorANGLE(o[n],0)}},V.prototype.destroy=function(){var e=this.gl;if(e){var t=e.getExtension("WEBGL_lose_context");t&&t.loseContext(),this.gl=null}!this.offscreen&&this.node&&this.node.parentNode&&this.node.parentNode.removeChild(this.node)};var ie,re={};function ne(e){if(re.hasOwnProperty(e))return re[e];var t,i=e;/^(#|rgb)/.test(i)||(ie||(ie=("undefined"!=typeof OffscreenCanvas?new OffscreenCanvas(1,1):r.createElement("canvas")).getContext("2d")),ie.fillStyle=e,i=ie.fillStyle);var n=/^#([0-9a-f]{3,8})$/i.exec(i);return n?((n=n[1]).length<6&&(n=n.replace(/./g,"$&$&")),t=[0,2,4,6].map(function(e){return e<n.length?parseInt(n.substr(e,2),16)/255:1})):t=[((t=(i.match(/[\d.]+/g)||[]).map(Number))[0]||0)/255,(t[1]||0)/255,(t[2]||0)/255,t.length>3?t[3]:1],re[e]=t}var oe={canvas:B,svg:G,webgl:V};function ae(t,n,a,x){var w,b,M,P,k,R,X,Y,N,F,W,j=1,q=0,U=0,H=a?a.tilt:!!(e.DeviceOrientationEvent&&e.matchMedia&&e.matchMedia("(pointer: coarse)").matches),z=0,Q=0,J=[],V=!1,Z={},$=!1,K=null,ee=0,te=!1,ie=null,re=x||d(t),ne={resize:!0,particleClick:!0,qualityChange:!0},le=0,pe=0,he=null;if((n=o({},s(se.defaults),s(n))).worker&&!a&&f&&se.workerUrl&&"svg"!==n.renderer){var ce=function(t,n,a){var s;try{s=new Worker(se.workerUrl)}catch(e){return null}var f,x=D(t),w=!1,b=!1,M=d(t),P=x.transferControlToOffscreen();function S(){x.style.width=t.offsetWidth+"px",x.style.height=t.offsetHeight+"px"}function k(){S(),s.postMessage({type:"resize",width:t.offsetWidth,height:t.offsetHeight,winW:e.innerWidth,winH:e.innerHeight,pixelRatio:e.devicePixelRatio||1})}function _(e){var t=m(e,x);t.type="pointer",s.postMessage(t)}function E(e){"touchend"!==e.type&&e.relatedTarget||s.postMessage({type:"pointerleave"})}function A(e){var t=m(e,x);t.type="click",s.postMessage(t)}function R(e){s.postMessage({type:"tilt",x:Math.min(Math.max(-e.gamma,-30),30),y:Math.min(Math.max(-e.beta,-30),30)})}s.postMessage({type:"init",canvas:P,options:u(n),width:t.offsetWidth,height:t.offsetHeight,winW:e.innerWidth,winH:e.innerHeight,pixelRatio:e.devicePixelRatio||1,tilt:a},[P]),S();var X=[[e,"resize",k,!1],[r,"mousemove",_,!1],[r,"mouseout",E,!1],[r,"touchstart",_,!1],[r,"touchmove",_,!1],[r,"touchend",E,!1],[t,"click",A,!1]];a&&X.push([e,"deviceorientation",R,!0]);y(X),e.ResizeObserver&&(f=new ResizeObserver(k)).observe(t);var Y={suspend:function(e){s.postMessage({type:"suspend",reason:e}),te("onAutoPause",e)},resume:function(e){s.postMessage({type:"resume",reason:e}),te("onAutoResume",e)},reducedMotion:function(e){s.postMessage({type:"reducedMotion",matches:e}),te("onReducedMotion",e)}},I=v(t,n,Y);function N(e,t){w||s.postMessage({type:"call",method:e,args:t||[]})}var F={},B=0;function W(e,t){if(w)return Promise.reject(new Error(i+": destroyed"));var r=++B;return s.postMessage({type:"call",method:e,args:t,id:r}),new Promise(function(i,n){F[r]={method:e,args:t,resolve:i,reject:n}})}function j(){if(!w){K();var e=new ae(t,o({},n,{worker:!1}),null,M);for(var i in e)re[i]=e[i];for(var r in b&&e.pause(),F){var a=F[r];e[a.method].apply(null,a.args).then(a.resolve,a.reject)}F={}}}function q(){w||(b=!0,N("pause"),Q("pause"))}function G(){w||(b=!1,N("start"),Q("start"))}function U(e){"frame"!==e||w||s.postMessage({type:"listen",name:e})}function H(e,t){U(e),M.on(e,t)}function z(e,t){U(e),M.once(e,t)}function Q(e,i){M.emit(e,i),p&&p(t).trigger("pg:"+e,[i])}function J(e){return W("exportFrame",[e||{}])}function V(){return Promise.reject(new Error(i+": recording is not available with the worker option"))}function Z(e,i){var r=T(e,i);if(!r)return l(n,e);o(n,r),N("option",[u(r)]),O(r,C)&&(I(!0),I=v(t,n,Y)),te("onOptionChange",r),Q("optionChange",r)}function $(e,t){Z("layers",L(n.layers,e,t))}function K(){w=!0,s.terminate(),h.splice(h.indexOf(ie),1),g(X),f&&f.disconnect(),I(),x.parentNode&&x.parentNode.removeChild(x)}function ee(){w||(K(),te("onDestroy"),Q("destroy"),M.off(),t[i]&&t[i].destroy===ee&&delete t[i],p&&p(t).removeData("plugin_"+i))}function te(e){void 0!==n[e]&&n[e].apply(t,Array.prototype.slice.call(arguments,1))}function ie(e){(e===t||e.contains&&e.contains(t))&&U("frame")}s.addEventListener("message",function(e){var t=e.data;"event"===t.type?("qualityChange"===t.name&&te("onQualityChange",t.detail.quality),Q(t.name,t.detail)):"result"===t.type&&F[t.id]&&(t.error?F[t.id].reject(new Error(t.error)):F[t.id].resolve(t.value),delete F[t.id])}),s.addEventListener("error",j),te("onInit"),Promise.resolve().then(function(){w||Q("init")}),c(t,"frame")&&U("frame");h.push(ie);var re={option:Z,toggleLayer:$,destroy:ee,start:G,pause:q,exportFrame:J,record:V,on:H,off:M.off,once:z};return re}(t,n,H);if(ce)return ce}function fe(){var e=oe[n.renderer]||B,i=new e(t,n,a);return i.init()||e!==B&&(i=new B(t,n,a)).init()?i:null}function ue(){M=t.offsetWidth,P=t.offsetHeight,j=de(),w.resize(M,P,j)}function de(){var t=a?a.pixelRatio:e.devicePixelRatio;return Math.min(t||1,n.maxPixelRatio)}function ye(){if(w){var e=S();if(n.fps&&null!==K&&e-K<1e3/n.fps-1)R=_(ye);else{var i=null===K?0:Math.min((e-K)/1e3,.1);if(K=e,n.timestep>0){ee+=i;for(var r=0;ee>=n.timestep&&r<10;)ve(n.timestep),ee-=n.timestep,r++;10===r&&(ee=0)}else ve(i);me();var o,s=S()-e;i&&(le=le?le+.1*(1/i-le):1/i),n.adaptive.enabled&&function(e,t){var i=n.adaptive;pe=pe?pe+.05*(t-pe):t,null===he&&(he=e);if(e-he<1e3)return;var r=b.quality;pe>i.budget?r-=A:pe<.5*i.budget&&(r+=A);(r=Math.round(100*Math.min(Math.max(r,i.min),i.max))/100)!==b.quality&&(he=e,ge(r),pe=0)}(e,s),o="frame",(re.has(o)||(a?ne[o]:c(t,o)))&&De("frame",{time:e,delta:i,duration:s,fps:le,particles:b.particles.length,quality:b.quality}),V||Ce()||(R=_(ye))}}}function ge(e){b.setQuality(e),Ne("onQualityChange",e),De("qualityChange",{quality:e,frameTime:pe})}function ve(t){(a||(X=e.innerWidth,Y=e.innerHeight),H)?(N=(z- -30)*((X-0)/60)+0,F=(Q- -30)*((Y-0)/60)+0):(N=q,F=U);b.parallaxPointer.x=N-X/2,b.parallaxPointer.y=F-Y/2,b.timeScale=$&&"slow"===n.reducedMotion.mode?n.reducedMotion.speed:1,b.step(t)}function me(){w.render(b)}function xe(){t.offsetWidth===M&&t.offsetHeight===P&&de()===j||(ue(),b.resize(M,P),De("resize",{width:M,height:P,pixelRatio:j,particles:b.particles.length}),(V||Ce())&&me())}function we(e){Me(m(e,w.node))}function be(e){"touchend"!==e.type&&e.relatedTarget||(b.pointer.active=!1)}function Me(e){q=e.pageX,U=e.pageY,b.pointer.x=e.x,b.pointer.y=e.y,b.pointer.active=!0}function Oe(e){var t=m(e,w.node);Pe(t.x,t.y)}function Pe(e,t){var i,r=b.particleAt(e,t);r&&De("particleClick",{particle:a?(i=r,{position:{x:i.position.x,y:i.position.y},speed:{x:i.speed.x,y:i.speed.y},parallaxOffsetX:i.parallaxOffsetX,parallaxOffsetY:i.parallaxOffsetY,layer:i.layer,color:i.color,radius:i.radius,angle:i.angle,spin:i.spin,spawned:i.spawned}):r,layerName:r.system.name||null,x:e,y:t}),b.spawn(e,t,n.interaction.spawn)}function Se(e){Q=Math.min(Math.max(-e.beta,-30),30),z=Math.min(Math.max(-e.gamma,-30),30)}function ke(e){var i=e.data;switch(i.type){case"pointer":Me(i);break;case"pointerleave":b.pointer.active=!1;break;case"click":Pe(i.x,i.y);break;case"listen":ne[i.name]=!0;break;case"suspend":Ee(i.reason);break;case"resume":Ae(i.reason);break;case"reducedMotion":Re(i.matches);break;case"tilt":z=i.x,Q=i.y;break;case"resize":t.offsetWidth=i.width,t.offsetHeight=i.height,a.pixelRatio=i.pixelRatio,X=i.winW,Y=i.winH,xe()}}function _e(){E(R),K=null,ye()}function Ee(e){Z[e]=!0,E(R),Ne("onAutoPause",e)}function Ae(e){delete Z[e],Ne("onAutoResume",e),V||Ce()||_e()}function Ce(){for(var e in Z)if(Z.hasOwnProperty(e))return!0;return!1}function Re(e){$=e,Ne("onReducedMotion",e)}var Te={suspend:Ee,resume:Ae,reducedMotion:Re};function Xe(e,i){var r=T(e,i);if(!r)return l(n,e);o(n,r),function(e){if(!w||te)return;b.apply(e),e.hasOwnProperty("adaptive")&&!n.adaptive.enabled&&1!==b.quality&&ge(1);e.hasOwnProperty("renderer")&&!a?(w.destroy(),w=fe(),ue(),(V||Ce())&&me()):w.apply(e);e.hasOwnProperty("maxPixelRatio")&&xe();W&&O(e,C)&&(W(!0),W=v(t,n,Te))}(r),Ne("onOptionChange",r),De("optionChange",r)}function Ye(e,t){var i=a?new e(null,n,{canvas:new OffscreenCanvas(1,1)}):new e(r.createElement("div"),n,null);return i.init()?(w.sprite&&(i.sprite=w.sprite),i.resize(M,P,t),i):null}function Le(){return b.particles.map(function(e){return{x:e.position.x,y:e.position.y,offsetX:e.parallaxOffsetX,offsetY:e.parallaxOffsetY,angle:e.angle,speedX:e.speed.x,speedY:e.speed.y}})}function Ie(e){for(var t=b.particles,i=0;i<t.length&&i<e.length;i++){var r=t[i];r.position.x=e[i].x,r.position.y=e[i].y,r.parallaxOffsetX=e[i].offsetX,r.parallaxOffsetY=e[i].offsetY,r.angle=e[i].angle,r.speed.x=e[i].speedX,r.speed.y=e[i].speedY}}function Ne(e){void 0!==n[e]&&n[e].apply(t,Array.prototype.slice.call(arguments,1))}function De(i,r){re.emit(i,r),a?ne[i]&&e.postMessage({type:"event",name:i,detail:r}):p&&p(t).trigger("pg:"+i,[r])}return a&&(X=a.winW,Y=a.winH),b=new I(n,t.offsetWidth,t.offsetHeight),n=b.options,(w=fe())&&(ue(),a?J=[[e,"message",ke,!1]]:(J=[[e,"resize",xe,!1],[r,"mousemove",we,!1],[r,"mouseout",be,!1],[r,"touchstart",we,!1],[r,"touchmove",we,!1],[r,"touchend",be,!1],[t,"click",Oe,!1]],H&&J.push([e,"deviceorientation",Se,!0]),e.ResizeObserver&&(k=new ResizeObserver(xe)).observe(t)),y(J),a||(W=v(t,n,Te)),ye(),x||(Ne("onInit"),Promise.resolve().then(function(){te||De("init")}))),{option:Xe,toggleLayer:function(e,t){Xe("layers",L(n.layers,e,t))},destroy:function e(){te||(te=!0,V=!0,E(R),ie&&ie.stop(),g(J),k&&k.disconnect(),W&&W(),b&&(b.particles.length=0,b.grid.length=0),w&&w.destroy(),Ne("onDestroy"),De("destroy"),re.off(),t[i]&&t[i].destroy===e&&delete t[i],p&&p(t).removeData("plugin_"+i))},start:function(){te||(V=!1,_e(),De("start"))},pause:function(){te||(V=!0,De("pause"))},exportFrame:function(e){var t,r,n=(e=e||{}).format||"png";if(!w||te)return Promise.reject(new Error(i+": nothing to export"));if("svg"===n){var o=!a&&Ye(G,1);if(!o)return Promise.reject(new Error(i+": SVG export needs the DOM"));o.render(b);var s=(new XMLSerializer).serializeToString(o.node);return o.destroy(),Promise.resolve(new Blob([s],{type:"image/svg+xml"}))}if("png"===n){var l=Ye(B,e.pixelRatio||j);return l?(l.render(b),(t=l.node,r="image/png",t.convertToBlob?t.convertToBlob({type:r}):new Promise(function(e){t.toBlob(e,r)})).then(function(e){return l.destroy(),e})):Promise.reject(new Error(i+": PNG export needs canvas support"))}return Promise.reject(new Error(i+": unknown export format "+n))},record:function(e){var t=(e=e||{}).seconds||5,r=e.fps||30;if(!w||te||ie)return Promise.reject(new Error(i+": already recording, or nothing to record"));var n=!a&&"undefined"!=typeof MediaRecorder&&Ye(B,j);return n&&n.node.captureStream?new Promise(function(i,o){var a,s=n.node.captureStream(0),l=s.getVideoTracks()[0],p=new MediaRecorder(s,{mimeType:e.mimeType||"video/webm"}),h=[],c=Math.max(1,Math.round(t*r)),f=Math.min(Math.round(r),Math.floor(c/4)),u=Le(),d=0;function y(){ie=null,n.destroy(),te||Ie(u),delete Z.record,V||Ce()?te||me():_e()}p.ondataavailable=function(e){e.data.size&&h.push(e.data)},p.onstop=function(){y(),i(new Blob(h,{type:p.mimeType||"video/webm"}))},p.onerror=function(e){y(),o(e.error||e)},Z.record=!0,E(R),ie={stop:function(){clearInterval(a),"inactive"!==p.state&&p.stop()}},p.start(),a=setInterval(function(){var e=f?(d-(c-f))/f:0,t=e>0?function(e,t){for(var i=Le(),r=b.particles,n=0;n<r.length&&n<e.length;n++){var o=r[n],a=e[n].x-o.position.x,s=e[n].y-o.position.y;Math.abs(a)>b.width/2&&(a-=a>0?b.width:-b.width),Math.abs(s)>b.height/2&&(s-=s>0?b.height:-b.height);var l=((e[n].angle-o.angle)%(2*Math.PI)+3*Math.PI)%(2*Math.PI)-Math.PI;o.position.x+=a*t,o.position.y+=s*t,o.parallaxOffsetX+=(e[n].offsetX-o.parallaxOffsetX)*t,o.parallaxOffsetY+=(e[n].offsetY-o.parallaxOffsetY)*t,o.angle+=l*t}return i}(u,e*e*(3-2*e)):null;w.render(b),n.render(b),l.requestFrame&&l.requestFrame();t&&Ie(t);ve(1/r),++d>=c&&ie.stop()},1e3/r)}):(n&&n.destroy(),Promise.reject(new Error(i+": recording needs captureStream() and MediaRecorder")))},on:re.on,off:re.off,once:re.once}}function se(e,t){return new ae(e,t)}function le(e){(p=e).event.special["pg:frame"]={setup:function(){for(var e=0;e<h.length;e++)h[e](this);return!1}},p.fn[i]=function(e){if("string"==typeof arguments[0]){var t,r=arguments[0],n=Array.prototype.slice.call(arguments,1);return this.each(function(){p.data(this,"plugin_"+i)&&"function"==typeof p.data(this,"plugin_"+i)[r]&&(t=p.data(this,"plugin_"+i)[r].apply(this,n))}),void 0!==t?t:this}if("object"==typeof e||!e)return this.each(function(){p.data(this,"plugin_"+i)||p.data(this,"plugin_"+i,new ae(this,e))})}}se.default=se,se.random=P,se.ParticleSystem=I,se.forces={repulse:x,attract:w},se.renderers=oe,se.useJQuery=le,se.defineElement=xe,se.autoStart=ve,se.workerUrl=t&&r&&r.currentScript?r.currentScript.src:null,se.defaults={minSpeedX:6,maxSpeedX:42,minSpeedY:6,maxSpeedY:42,directionX:"center",directionY:"center",boundary:null,physics:{gravity:{x:0,y:0},wind:{x:0,y:0},friction:0,maxSpeed:0,collisions:!1},density:1e4,dotColor:"#666666",dotColorOrder:"random",particleRadius:7,shape:"circle",sides:5,image:null,rotationSpeed:0,links:{proximity:100,width:1,color:"#666666",curved:!1,gradient:!1,fade:!1},parallax:{enabled:!0,multiplier:5,easing:.1},layers:null,reducedMotion:{mode:"slow",speed:.2},pauseWhenHidden:!0,pauseWhenOffscreen:!0,interaction:{mode:"none",radius:100,strength:300,spawn:0},maxPixelRatio:2,seed:null,fps:0,timestep:0,adaptive:{enabled:!1,budget:8,min:.25,max:1},renderer:"canvas",worker:!1,onInit:function(){},onDestroy:function(){},onOptionChange:function(e){},onAutoPause:function(e){},onAutoResume:function(e){},onReducedMotion:function(e){},onQualityChange:function(e){}},t&&e.jQuery&&le(e.jQuery);var pe="[data-particleground]";function he(e){try{return JSON.parse(e)}catch(e){return}}function ce(e){if(""===e)return!0;var t=he(e);return void 0===t?e:t}function fe(e){if(!e.querySelectorAll)return[];var t=Array.prototype.slice.call(e.querySelectorAll(pe));return e.matches&&e.matches(pe)&&t.unshift(e),t}function ue(e){fe(e).forEach(function(e){e[i]||(e[i]=se(e,function(e){var t=he(e.getAttribute("data-particleground"));for(var i in n(t)||(t={}),e.dataset)/^pg[A-Z]/.test(i)&&(t[i.charAt(2).toLowerCase()+i.slice(3)]=ce(e.dataset[i]));return t}(e)))})}function de(e){fe(e).forEach(function(e){e[i]&&!r.documentElement.contains(e)&&e[i].destroy()})}var ye,ge=!1;function ve(){!ge&&r&&(ge=!0,"loading"===r.readyState?r.addEventListener("DOMContentLoaded",me,!1):me())}function me(){ue(r),e.MutationObserver&&new MutationObserver(function(e){e.forEach(function(e){Array.prototype.forEach.call(e.removedNodes,de),Array.prototype.forEach.call(e.addedNodes,ue)})}).observe(r.documentElement,{childList:!0,subtree:!0})}function xe(t){if(t=t||"particle-ground",e.customElements&&!customElements.get(t)){var r={};Object.keys(se.defaults).concat(Object.keys(a)).forEach(function(e){"function"!=typeof se.defaults[e]&&(r[e.replace(/[A-Z]/g,function(e){return"-"+e.toLowerCase()})]=e)}),n.prototype=Object.create(HTMLElement.prototype),n.prototype.constructor=n,Object.setPrototypeOf(n,HTMLElement),n.observedAttributes=Object.keys(r),n.prototype.connectedCallback=function(){if(!this[i]){for(var e={},t=0;t<this.attributes.length;t++){var n=r[this.attributes[t].name];n&&(e[n]=ce(this.attributes[t].value))}this[i]=se(this.stage,e)}},n.prototype.disconnectedCallback=function(){this[i]&&(this[i].destroy(),delete this[i])},n.prototype.attributeChangedCallback=function(e,t,n){if(this[i]&&t!==n){var o=r[e];this[i].option(o,null===n?l(se.defaults,o):ce(n))}},customElements.define(t,n)}function n(){var e=Reflect.construct(HTMLElement,[],n),t=e.attachShadow({mode:"open"});return t.innerHTML='<style>:host { display: block; position: relative; overflow: hidden; }.pg-stage { position: absolute; top: 0; right: 0; bottom: 0; left: 0; }slot { display: block; position: relative; }</style><div class="pg-stage"></div><slot></slot>',e.stage=t.firstChild.nextSibling,e.addEventListener("click",function(t){-1===t.composedPath().indexOf(e.stage)&&e.stage.dispatchEvent(new MouseEvent("click",{clientX:t.clientX,clientY:t.clientY,screenX:t.screenX,screenY:t.screenY}))},!1),e}}(!t||r&&r.currentScript&&"false"===r.currentScript.getAttribute("data-auto-init")||ve(),t&&xe(),t&&!r&&"function"==typeof importScripts)&&e.addEventListener("message",function(t){var i=t.data;if("init"===i.type)ye=new ae({offsetWidth:i.width,offsetHeight:i.height},i.options,i);else if("call"===i.type&&ye){var r=ye[i.method].apply(null,i.args);i.id&&r.then(function(t){e.postMessage({type:"result",id:i.id,value:t})},function(t){e.postMessage({type:"result",id:i.id,error:t.message})})}},!1);return se});
@@ -0,0 +1,3505 @@
+/*!
+ * Particleground
+ *
+ * @author Jonathan Nicol - @mrjnicol
+ * @version 1.1.0
+ * @description Creates a canvas based particle system background
+ *
+ * Inspired by http://requestlab.fr/ and http://disruptivebydesign.com/
+ */
+
+// ES module build of jquery.particleground.js, generated by scripts/build.js.
+// Edit the source and run npm run build rather than editing this file.
+var particleground = (function(window, global) {
+  "use strict";
+  var pluginName = 'particleground';
+  // null in a worker or Node
+  var document = window.document || null;
+
+  function isPlainObject(obj) {
+    return Object.prototype.toString.call(obj) === '[object Object]';
+  }
+
+  // Recursive merge, based on http://youmightnotneedjquery.com/#deep_extend
+  // Plain objects are merged and arrays are copied, so the sources are never
+  // shared with (or mutated through) the result. Anything else, including
+  // functions, null and DOM nodes, is assigned as is.
+  function extend(out) {
+    out = out || {};
+    for (var i = 1; i < arguments.length; i++) {
+      var obj = arguments[i];
+      if (!obj) continue;
+      for (var key in obj) {
+        if (obj.hasOwnProperty(key)) {
+          var val = obj[key];
+          if (isPlainObject(val))
+            out[key] = extend(isPlainObject(out[key]) ? out[key] : {}, val);
+          else if (Array.isArray(val))
+            out[key] = extend([], val);
+          else
+            out[key] = val;
+        }
+      }
+    }
+    return out;
+  };
+
+  // Flat option keys from 1.x, and where they now live in the option groups
+  var aliases = {
+    parallaxMultiplier: ['parallax', 'multiplier'],
+    proximity: ['links', 'proximity'],
+    lineWidth: ['links', 'width'],
+    lineColor: ['links', 'color'],
+    curvedLines: ['links', 'curved']
+  };
+
+  /**
+   * Move flat option keys into their groups, e.g.
+   * { proximity: 50, parallax: false } -> { links: { proximity: 50 }, parallax: { enabled: false } }
+   */
+  function normalizeOptions(obj) {
+    var out = extend({}, obj);
+    if (typeof out.parallax === 'boolean') {
+      out.parallax = { enabled: out.parallax };
+    }
+    if (typeof out.adaptive === 'boolean') {
+      out.adaptive = { enabled: out.adaptive };
+    }
+    for (var key in aliases) {
+      if (aliases.hasOwnProperty(key) && out.hasOwnProperty(key)) {
+        var path = aliases[key];
+        out[path[0]] = isPlainObject(out[path[0]]) ? out[path[0]] : {};
+        out[path[0]][path[1]] = out[key];
+        delete out[key];
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Read an option, following flat aliases into their groups
+   */
+  function getOption(options, key) {
+    if (key === 'parallax') {
+      // A boolean in 1.x, which code still tests with if (option('parallax'))
+      return options.parallax.enabled;
+    }
+    var path = aliases[key];
+    return path ? options[path[0]][path[1]] : options[key];
+  }
+
+  // Set by useJQuery()
+  var $ = null;
+
+  // Called with the element whenever a first pg:frame handler is bound to
+  // it, so worker instances know to start forwarding frame events
+  var frameWatchers = [];
+
+  /**
+   * Whether there are jQuery pg:name handlers on element, or on an ancestor
+   * the event bubbles to
+   */
+  function jQueryHears(element, name) {
+    if (!$ || !$._data) { return false; }
+    for (var node = element; node; node = node.parentNode) {
+      var bound = $._data(node, 'events');
+      if (bound && bound['pg:' + name]) { return true; }
+    }
+    return false;
+  }
+
+  var workerSupport = !!(window.Worker && window.OffscreenCanvas &&
+    window.HTMLCanvasElement && HTMLCanvasElement.prototype.transferControlToOffscreen);
+
+  /**
+   * Strip the options that can't be posted to a worker (i.e. hooks). Image
+   * elements are swapped for their URL, which the worker loads itself.
+   */
+  function cloneable(obj) {
+    var out = {};
+    for (var key in obj) {
+      if (obj.hasOwnProperty(key) && typeof obj[key] !== 'function') {
+        var val = obj[key];
+        if (isPlainObject(val)) {
+          val = cloneable(val);
+        } else if (window.HTMLImageElement && val instanceof HTMLImageElement) {
+          val = val.src;
+        }
+        out[key] = val;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * on/off/once event listeners for an instance. Listeners are called on
+   * context (the element), with the event's detail.
+   */
+  function createEmitter(context) {
+    var listeners = {};
+
+    function on(name, fn) {
+      (listeners[name] = listeners[name] || []).push(fn);
+    }
+
+    // off(name, fn), off(name) for all of name's listeners, or off() for all
+    function off(name, fn) {
+      if (!name) {
+        listeners = {};
+      } else if (!fn) {
+        delete listeners[name];
+      } else if (listeners[name]) {
+        listeners[name] = listeners[name].filter(function(listener) {
+          return listener !== fn && listener.listener !== fn;
+        });
+      }
+    }
+
+    function once(name, fn) {
+      function wrapper(detail) {
+        off(name, wrapper);
+        fn.call(this, detail);
+      }
+      // So off(name, fn) finds it
+      wrapper.listener = fn;
+      on(name, wrapper);
+    }
+
+    function has(name) {
+      return !!(listeners[name] && listeners[name].length);
+    }
+
+    function emit(name, detail) {
+      // Copy, so listeners can remove themselves
+      var list = (listeners[name] || []).slice();
+      for (var i = 0; i < list.length; i++) {
+        list[i].call(context, detail);
+      }
+    }
+
+    return { on: on, off: off, once: once, has: has, emit: emit };
+  }
+
+  /**
+   * A particle's state as plain data, which can be posted from a worker
+   */
+  function particleData(p) {
+    return {
+      position: { x: p.position.x, y: p.position.y },
+      speed: { x: p.speed.x, y: p.speed.y },
+      parallaxOffsetX: p.parallaxOffsetX,
+      parallaxOffsetY: p.parallaxOffsetY,
+      layer: p.layer,
+      color: p.color,
+      radius: p.radius,
+      angle: p.angle,
+      spin: p.spin,
+      spawned: p.spawned
+    };
+  }
+
+  /**
+   * Add/remove a list of [target, type, handler, useCapture] event listeners
+   */
+  function bind(listeners) {
+    for (var i = 0; i < listeners.length; i++) {
+      listeners[i][0].addEventListener(listeners[i][1], listeners[i][2], listeners[i][3]);
+    }
+  }
+
+  function unbind(listeners) {
+    for (var i = 0; i < listeners.length; i++) {
+      listeners[i][0].removeEventListener(listeners[i][1], listeners[i][2], listeners[i][3]);
+    }
+  }
+
+  /**
+   * Watch the conditions that should pause or slow a particle system: the
+   * page being hidden, the element scrolling out of view and the user asking
+   * for reduced motion. handlers.suspend/resume(reason) are only called when a
+   * reason starts or stops applying. Returns a function that stops watching,
+   * and also lifts any suspensions if passed true.
+   */
+  function watchMotion(element, options, handlers) {
+    var held = {};
+    var listeners = [];
+    var observer;
+    var mql = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+    function set(reason, on) {
+      if (!!held[reason] === on) { return; }
+      held[reason] = on;
+      if (on) {
+        handlers.suspend(reason);
+      } else {
+        handlers.resume(reason);
+      }
+    }
+
+    function reducedMotion(matches) {
+      handlers.reducedMotion(matches);
+      if (options.reducedMotion.mode === 'static') {
+        set('reducedMotion', matches);
+      }
+    }
+
+    if (mql && options.reducedMotion.mode !== 'ignore') {
+      if (mql.addEventListener) {
+        listeners.push([mql, 'change', function(e) { reducedMotion(e.matches); }, false]);
+      }
+      if (mql.matches) {
+        reducedMotion(true);
+      }
+    }
+
+    if (options.pauseWhenHidden) {
+      listeners.push([document, 'visibilitychange', function() { set('hidden', document.hidden); }, false]);
+      set('hidden', !!document.hidden);
+    }
+
+    if (options.pauseWhenOffscreen && window.IntersectionObserver) {
+      observer = new IntersectionObserver(function(entries) {
+        set('offscreen', !entries[entries.length - 1].isIntersecting);
+      });
+      observer.observe(element);
+    }
+
+    bind(listeners);
+
+    return function(release) {
+      unbind(listeners);
+      if (observer) {
+        observer.disconnect();
+      }
+      if (release) {
+        for (var reason in held) {
+          set(reason, false);
+        }
+        if (mql && mql.matches) {
+          handlers.reducedMotion(false);
+        }
+      }
+    };
+  }
+
+  /**
+   * Page position and canvas-relative position of a mouse or touch event
+   */
+  function pointerPosition(e, canvas) {
+    var point = e.touches ? e.touches[0] || e.changedTouches[0] : e;
+    var rect = canvas.getBoundingClientRect();
+    return {
+      pageX: point.pageX,
+      pageY: point.pageY,
+      x: point.clientX - rect.left,
+      y: point.clientY - rect.top
+    };
+  }
+
+  /**
+   * Displacement that pushes a particle at (dx, dy) from the pointer away from
+   * it. Falls off linearly from strength px at the pointer to 0 at radius.
+   */
+  function repulse(dx, dy, radius, strength) {
+    var distSq = (dx * dx) + (dy * dy);
+    if (distSq === 0 || distSq >= radius * radius) {
+      return { x: 0, y: 0 };
+    }
+    var dist = Math.sqrt(distSq);
+    var step = strength * (1 - dist / radius);
+    return { x: dx / dist * step, y: dy / dist * step };
+  }
+
+  /**
+   * Displacement that pulls a particle at (dx, dy) from the pointer towards it,
+   * with the same falloff as repulse(). Never overshoots the pointer.
+   */
+  function attract(dx, dy, radius, strength) {
+    var distSq = (dx * dx) + (dy * dy);
+    if (distSq === 0 || distSq >= radius * radius) {
+      return { x: 0, y: 0 };
+    }
+    var dist = Math.sqrt(distSq);
+    var step = Math.min(strength * (1 - dist / radius), dist);
+    return { x: -dx / dist * step, y: -dy / dist * step };
+  }
+
+  /**
+   * Add the outline of a particle shape, centred on (x, y), to the current path
+   */
+  function traceShape(ctx, shape, x, y, r, angle, sides) {
+    switch (shape) {
+      case 'square':
+        tracePolygon(ctx, x, y, r * Math.SQRT2, 4, angle + Math.PI / 4);
+        break;
+      case 'triangle':
+        tracePolygon(ctx, x, y, r, 3, angle - Math.PI / 2);
+        break;
+      case 'polygon':
+        tracePolygon(ctx, x, y, r, sides, angle - Math.PI / 2);
+        break;
+      case 'star':
+        traceStar(ctx, x, y, r, sides, angle - Math.PI / 2);
+        break;
+      default:
+        ctx.arc(x, y, r, 0, Math.PI * 2, true);
+        break;
+    }
+  }
+
+  function tracePolygon(ctx, x, y, r, sides, angle) {
+    ctx.moveTo(x + r * Math.cos(angle), y + r * Math.sin(angle));
+    for (var i = 1; i < sides; i++) {
+      var a = angle + (i * Math.PI * 2) / sides;
+      ctx.lineTo(x + r * Math.cos(a), y + r * Math.sin(a));
+    }
+  }
+
+  function traceStar(ctx, x, y, r, points, angle) {
+    ctx.moveTo(x + r * Math.cos(angle), y + r * Math.sin(angle));
+    for (var i = 1; i < points * 2; i++) {
+      // Alternate between outer points and inner corners at half the radius
+      var a = angle + (i * Math.PI) / points;
+      var radius = i % 2 ? r / 2 : r;
+      ctx.lineTo(x + radius * Math.cos(a), y + radius * Math.sin(a));
+    }
+  }
+
+  function hasAny(obj, keys) {
+    for (var i = 0; i < keys.length; i++) {
+      if (obj.hasOwnProperty(keys[i])) { return true; }
+    }
+    return false;
+  }
+
+  /**
+   * Seedable PRNG (mulberry32), a drop-in for Math.random(). String seeds are
+   * hashed (FNV-1a) to a number first.
+   */
+  function createRandom(seed) {
+    var state;
+    if (typeof seed === 'number') {
+      state = seed >>> 0;
+    } else {
+      seed = String(seed);
+      state = 2166136261;
+      for (var i = 0; i < seed.length; i++) {
+        state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+      }
+      state = state >>> 0;
+    }
+    return function() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      var t = Math.imul(state ^ (state >>> 15), state | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // High resolution time in ms, where available
+  var now = typeof performance !== 'undefined' && performance.now ? function() {
+    return performance.now();
+  } : function() {
+    return new Date().getTime();
+  };
+
+  // requestAnimationFrame, or a timer where there is none (e.g. Node). Based
+  // on the polyfill by Erik Möller, with fixes from Paul Irish and Tino
+  // Zijdel, but without installing itself globally.
+  var lastFrame = 0;
+  var requestFrame = window.requestAnimationFrame ? function(callback) {
+    return window.requestAnimationFrame(callback);
+  } : function(callback) {
+    var time = new Date().getTime();
+    var wait = Math.max(0, 16 - (time - lastFrame));
+    lastFrame = time + wait;
+    return setTimeout(function() {
+      callback(time + wait);
+    }, wait);
+  };
+  var cancelFrame = window.cancelAnimationFrame ? function(id) {
+    window.cancelAnimationFrame(id);
+  } : function(id) {
+    clearTimeout(id);
+  };
+
+  // Longest frame we simulate, in seconds, so a stalled tab doesn't make particles jump
+  var maxFrameTime = 0.1;
+  // Most fixed timesteps we run per frame before dropping time
+  var maxSteps = 10;
+
+  // Adaptive mode changes quality by qualityStep, at most every adaptInterval
+  // ms. It lowers quality when the average frame takes longer than the
+  // budget and raises it when it takes less than headroom times the budget.
+  var qualityStep = 0.1;
+  var adaptInterval = 1000;
+  var headroom = 0.5;
+  // Below this quality, parallax is turned off
+  var parallaxQuality = 0.5;
+
+  /**
+   * What happens at the edges on an axis: options.boundary, or by default
+   * bounce for the 'center' direction and wrap for the others
+   */
+  function boundaryMode(options, axis) {
+    if (options.boundary) { return options.boundary; }
+    return options[axis === 'x' ? 'directionX' : 'directionY'] === 'center' ? 'bounce' : 'wrap';
+  }
+
+  // Options that change what watchMotion() watches
+  var motionOptions = ['reducedMotion', 'pauseWhenHidden', 'pauseWhenOffscreen'];
+
+  // Options that set a particle's velocity when it is created
+  var speedOptions = ['minSpeedX', 'maxSpeedX', 'directionX', 'minSpeedY', 'maxSpeedY', 'directionY'];
+
+  /**
+   * Normalise the arguments of option(): either an object of changes or a
+   * key/value pair. Returns undefined for a plain getter call.
+   */
+  function optionChanges(key, val) {
+    if (key !== null && typeof key === 'object') {
+      return normalizeOptions(key);
+    }
+    if (val !== undefined) {
+      var changes = {};
+      changes[key] = val;
+      return normalizeOptions(changes);
+    }
+  }
+
+  /**
+   * A layer's options: the instance's, overridden by the layer's definition
+   */
+  function layerOptions(options, definition) {
+    return extend({}, options, definition, { layers: null, seed: null });
+  }
+
+  /**
+   * Keys whose values differ between two layer definitions, with their new
+   * values
+   */
+  function definitionChanges(before, after) {
+    var changes = {};
+    var keys = Object.keys(before).concat(Object.keys(after));
+    for (var i = 0; i < keys.length; i++) {
+      if (JSON.stringify(before[keys[i]]) !== JSON.stringify(after[keys[i]])) {
+        changes[keys[i]] = after[keys[i]];
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Copy of options.layers with the named layer shown or hidden, or toggled
+   * if visible is undefined
+   */
+  function toggledLayers(layers, name, visible) {
+    return (layers || []).map(function(layer, i) {
+      if ((layer.name || String(i)) !== name) { return layer; }
+      return extend({}, layer, { visible: visible === undefined ? layer.visible === false : !!visible });
+    });
+  }
+
+  /**
+   * ParticleSystem
+   *
+   * The simulation on its own, with no DOM or canvas: the particles, how they
+   * move and which of them are linked. Plugin paints it onto a canvas, but it
+   * runs anywhere, including Node. Sizes are in CSS pixels, times in seconds.
+   */
+  function ParticleSystem(options, width, height) {
+    this.options = extend({}, normalizeOptions(particleground.defaults), normalizeOptions(options));
+    this.width = width || 0;
+    this.height = height || 0;
+    this.particles = [];
+    // Pointer position in the system's coordinates, for interaction modes
+    this.pointer = { x: 0, y: 0, active: false };
+    // Offset of the pointer from the centre of the viewport, for parallax
+    this.parallaxPointer = { x: 0, y: 0 };
+    // Multiplier on all motion, e.g. to slow down for reduced motion
+    this.timeScale = 1;
+    // Scale on particle count and link reach, set by adaptive mode
+    this.quality = 1;
+    this.colorIndex = 0;
+    this.grid = [];
+    this.gridCols = 0;
+    this.gridRows = 0;
+    // Systems of their own for options.layers, back to front. null = no layers
+    this.layers = null;
+    this.seed();
+    this.buildLayers({});
+    this.adjustDensity();
+  }
+
+  /**
+   * Use a seeded generator if options.seed is set, so the same seed and
+   * size always produce the same particles
+   */
+  ParticleSystem.prototype.seed = function() {
+    var seed = this.options.seed;
+    this.random = seed === null || seed === undefined ? Math.random : createRandom(seed);
+  };
+
+  /**
+   * Advance the simulation by dt seconds
+   */
+  ParticleSystem.prototype.step = function(dt) {
+    if (this.layers) {
+      var layers = this.visibleLayers();
+      for (var n = 0; n < layers.length; n++) {
+        layers[n].timeScale = this.timeScale;
+        layers[n].step(dt);
+      }
+      return;
+    }
+    for (var i = 0; i < this.particles.length; i++) {
+      this.particles[i].updatePosition(dt);
+    };
+    if (this.options.physics.collisions) {
+      this.collide();
+    }
+  };
+
+  /**
+   * Resize the area, dropping particles left outside it
+   */
+  ParticleSystem.prototype.resize = function(width, height) {
+    this.width = width;
+    this.height = height;
+
+    if (this.layers) {
+      for (var n = 0; n < this.layers.length; n++) {
+        this.layers[n].resize(width, height);
+      }
+    } else {
+      // Remove particles that are outside the canvas
+      for (var i = this.particles.length - 1; i >= 0; i--) {
+        if (this.particles[i].position.x > width || this.particles[i].position.y > height) {
+          this.particles.splice(i, 1);
+        }
+      };
+    }
+
+    this.adjustDensity();
+  };
+
+  /**
+   * Add/remove particles to match options.density. Spawned particles don't
+   * count towards it, and are kept
+   */
+  ParticleSystem.prototype.adjustDensity = function() {
+    if (this.layers) {
+      for (var n = 0; n < this.layers.length; n++) {
+        this.layers[n].quality = this.quality;
+        this.layers[n].adjustDensity();
+      }
+      this.gather();
+      return;
+    }
+
+    var particles = this.particles;
+    var numParticles = Math.round((this.width * this.height) / this.options.density * this.quality);
+    var count = 0;
+    var i;
+    for (i = 0; i < particles.length; i++) {
+      if (!particles[i].spawned) {
+        count++;
+      }
+    }
+    for (; count < numParticles; count++) {
+      particles.push(new Particle(this));
+    }
+    // Drop the newest first
+    for (i = particles.length - 1; i >= 0 && count > numParticles; i--) {
+      if (!particles[i].spawned) {
+        particles.splice(i, 1);
+        count--;
+      }
+    }
+
+    // Re-index particles
+    for (i = particles.length - 1; i >= 0; i--) {
+      particles[i].setStackPos(i);
+    };
+  };
+
+  /**
+   * Create, update or drop layers to match options.layers, keeping the
+   * particles of layers that are still there by name. changes are the
+   * instance's option changes, passed on to the layers that inherit them.
+   */
+  ParticleSystem.prototype.buildLayers = function(changes) {
+    var definitions = this.options.layers || [];
+    var previous = {};
+    var i;
+    for (i = 0; this.layers && i < this.layers.length; i++) {
+      previous[this.layers[i].name] = this.layers[i];
+    }
+
+    this.layers = definitions.length ? [] : null;
+    this.particles = [];
+    for (i = 0; i < definitions.length; i++) {
+      var definition = normalizeOptions(definitions[i]);
+      var name = definition.name || String(i);
+      var layer = previous[name];
+      if (layer) {
+        // Re-roll what changed, in the definition or inherited from us
+        var layerChanges = definitionChanges(layer.definition, definition);
+        for (var key in changes) {
+          if (changes.hasOwnProperty(key) && !definition.hasOwnProperty(key) && key !== 'layers') {
+            layerChanges[key] = changes[key];
+          }
+        }
+        layer.options = layerOptions(this.options, definition);
+        layer.apply(layerChanges);
+      } else {
+        // Created empty, then filled using our random and pointers
+        layer = new ParticleSystem(layerOptions(this.options, definition));
+        layer.name = name;
+        layer.random = this.random;
+        layer.pointer = this.pointer;
+        layer.parallaxPointer = this.parallaxPointer;
+        layer.width = this.width;
+        layer.height = this.height;
+      }
+      delete previous[name];
+      layer.definition = definition;
+      layer.visible = definition.visible !== false;
+      this.layers.push(layer);
+    }
+  };
+
+  /**
+   * The systems to simulate and draw, back to front: the visible layers, or
+   * just this one without layers
+   */
+  ParticleSystem.prototype.visibleLayers = function() {
+    if (!this.layers) { return [this]; }
+    return this.layers.filter(function(layer) {
+      return layer.visible;
+    });
+  };
+
+  /**
+   * With layers, particles lists the visible layers' particles, back to front
+   */
+  ParticleSystem.prototype.gather = function() {
+    var layers = this.visibleLayers();
+    this.particles = [];
+    for (var i = 0; i < layers.length; i++) {
+      this.particles.push.apply(this.particles, layers[i].particles);
+    }
+  };
+
+  /**
+   * Scale the particle count by quality. Below 1 the links reach less far
+   * too, and below parallaxQuality parallax stops.
+   */
+  ParticleSystem.prototype.setQuality = function(quality) {
+    this.quality = quality;
+    this.adjustDensity();
+  };
+
+  /**
+   * How close two particles need to be to be linked, at this quality
+   */
+  ParticleSystem.prototype.linkProximity = function() {
+    // Link count goes with the square of the distance
+    return this.options.links.proximity * Math.sqrt(Math.min(this.quality, 1));
+  };
+
+  /**
+   * Add count particles at a point
+   */
+  ParticleSystem.prototype.spawn = function(x, y, count) {
+    if (this.layers) {
+      // Into the front layer
+      var layers = this.visibleLayers();
+      if (layers.length) {
+        layers[layers.length - 1].spawn(x, y, count);
+        this.gather();
+      }
+      return;
+    }
+    for (var i = 0; i < count; i++) {
+      var p = new Particle(this);
+      p.position.x = x;
+      p.position.y = y;
+      p.spawned = true;
+      p.setStackPos(this.particles.length);
+      this.particles.push(p);
+    }
+  };
+
+  /**
+   * Pairs of particles within linkProximity() of each other. If fn is given
+   * it is called with (p1, p2, distance) for each pair, otherwise the pairs
+   * are returned as an array of [p1, p2, distance].
+   */
+  ParticleSystem.prototype.links = function(fn) {
+    var result = fn ? undefined : [];
+    if (this.layers) {
+      // Particles only link within their layer
+      var layers = this.visibleLayers();
+      for (var i = 0; i < layers.length; i++) {
+        var found = layers[i].links(fn);
+        if (result) {
+          result.push.apply(result, found);
+        }
+      }
+      return result;
+    }
+
+    var proximity = this.linkProximity();
+    if (!(proximity > 0)) { return result; }
+
+    this.pairs(proximity, function(p, p2, distSq) {
+      if (fn) {
+        fn(p, p2, Math.sqrt(distSq));
+      } else {
+        result.push([p, p2, Math.sqrt(distSq)]);
+      }
+    });
+    return result;
+  };
+
+  /**
+   * Call fn(p1, p2, distanceSquared) for every pair of particles less than
+   * distance apart, each pair once
+   */
+  ParticleSystem.prototype.pairs = function(distance, fn) {
+    var distanceSq = distance * distance;
+    var particles = this.particles;
+    var grid = this.grid;
+    this.buildGrid(distance);
+
+    for (var n = 0; n < particles.length; n++) {
+      var p = particles[n];
+      var minX = Math.max(p.cellX - 1, 0);
+      var maxX = Math.min(p.cellX + 1, this.gridCols - 1);
+      var minY = Math.max(p.cellY - 1, 0);
+      var maxY = Math.min(p.cellY + 1, this.gridRows - 1);
+      // Only the neighbouring cells can hold particles within distance
+      for (var cy = minY; cy <= maxY; cy++) {
+        for (var cx = minX; cx <= maxX; cx++) {
+          var cell = grid[cy * this.gridCols + cx];
+          for (var i = 0; i < cell.length; i++) {
+            var p2 = cell[i];
+            // Only pair particles which are higher in the stack than this one
+            if (p2.stackPos <= p.stackPos) { continue; }
+
+            var a = p.position.x - p2.position.x;
+            var b = p.position.y - p2.position.y;
+            var distSq = (a * a) + (b * b);
+            if (distSq < distanceSq) {
+              fn(p, p2, distSq);
+            }
+          }
+        }
+      }
+    }
+  };
+
+  /**
+   * Elastic collisions between touching particles, with mass going with
+   * area. Overlapping particles are pushed apart.
+   */
+  ParticleSystem.prototype.collide = function() {
+    var maxRadius = 0;
+    for (var i = 0; i < this.particles.length; i++) {
+      maxRadius = Math.max(maxRadius, this.particles[i].radius);
+    }
+    if (!maxRadius) { return; }
+
+    this.pairs(maxRadius * 2, function(p1, p2, distSq) {
+      var reach = p1.radius + p2.radius;
+      if (distSq >= reach * reach || distSq === 0) { return; }
+
+      var dist = Math.sqrt(distSq);
+      // Unit vector from p1 to p2
+      var nx = (p2.position.x - p1.position.x) / dist;
+      var ny = (p2.position.y - p1.position.y) / dist;
+      var m1 = p1.radius * p1.radius;
+      var m2 = p2.radius * p2.radius;
+
+      // Only bounce particles moving towards each other
+      var closing = (p2.speed.x - p1.speed.x) * nx + (p2.speed.y - p1.speed.y) * ny;
+      if (closing < 0) {
+        var impulse = 2 * closing / (m1 + m2);
+        p1.speed.x += impulse * m2 * nx;
+        p1.speed.y += impulse * m2 * ny;
+        p2.speed.x -= impulse * m1 * nx;
+        p2.speed.y -= impulse * m1 * ny;
+      }
+
+      // Separate them, the lighter one moving further
+      var overlap = reach - dist;
+      p1.position.x -= nx * overlap * m2 / (m1 + m2);
+      p1.position.y -= ny * overlap * m2 / (m1 + m2);
+      p2.position.x += nx * overlap * m1 / (m1 + m2);
+      p2.position.y += ny * overlap * m1 / (m1 + m2);
+    });
+  };
+
+  /**
+   * Bucket particles into a uniform grid of proximity-sized cells, so that
+   * any two particles close enough to be joined sit in neighbouring cells.
+   */
+  ParticleSystem.prototype.buildGrid = function(size) {
+    var grid = this.grid;
+    this.gridCols = Math.max(1, Math.ceil(this.width / size));
+    this.gridRows = Math.max(1, Math.ceil(this.height / size));
+    grid.length = this.gridCols * this.gridRows;
+    for (var i = 0; i < grid.length; i++) {
+      if (grid[i]) {
+        grid[i].length = 0;
+      } else {
+        grid[i] = [];
+      }
+    };
+
+    for (i = 0; i < this.particles.length; i++) {
+      var p = this.particles[i];
+      // Particles drifting off-canvas are clamped into the edge cells
+      p.cellX = Math.min(Math.max(Math.floor(p.position.x / size), 0), this.gridCols - 1);
+      p.cellY = Math.min(Math.max(Math.floor(p.position.y / size), 0), this.gridRows - 1);
+      grid[p.cellY * this.gridCols + p.cellX].push(p);
+    };
+  };
+
+  /**
+   * Particles drawn within interaction.radius of the pointer
+   */
+  ParticleSystem.prototype.nearPointer = function() {
+    var result = [];
+    if (!this.pointer.active) { return result; }
+    var radius = this.options.interaction.radius;
+    for (var i = 0; i < this.particles.length; i++) {
+      var p = this.particles[i];
+      var a = p.position.x + p.parallaxOffsetX - this.pointer.x;
+      var b = p.position.y + p.parallaxOffsetY - this.pointer.y;
+      if ((a * a) + (b * b) < radius * radius) {
+        result.push(p);
+      }
+    }
+    return result;
+  };
+
+  /**
+   * The particle drawn at (x, y), if any, with a few pixels of slack for
+   * small dots and fingers. Later particles are drawn on top.
+   */
+  ParticleSystem.prototype.particleAt = function(x, y) {
+    for (var i = this.particles.length - 1; i >= 0; i--) {
+      var p = this.particles[i];
+      var a = p.position.x + p.parallaxOffsetX - x;
+      var b = p.position.y + p.parallaxOffsetY - y;
+      var reach = p.radius + 4;
+      if ((a * a) + (b * b) < reach * reach) {
+        return p;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Pick a dot color for a new particle, from the palette if dotColor is an array
+   */
+  ParticleSystem.prototype.pickColor = function() {
+    var colors = this.options.dotColor;
+    if (!Array.isArray(colors)) {
+      return colors;
+    }
+    if (this.options.dotColorOrder === 'cycle') {
+      return colors[this.colorIndex++ % colors.length];
+    }
+    return colors[Math.floor(this.random() * colors.length)];
+  };
+
+  /**
+   * Pick a dot size for a new particle, within the range if particleRadius is [min, max]
+   */
+  ParticleSystem.prototype.pickSize = function() {
+    var size = this.options.particleRadius;
+    if (!Array.isArray(size)) {
+      return size;
+    }
+    return size[0] + this.random() * (size[1] - size[0]);
+  };
+
+  /**
+   * Re-roll the particle state that depends on the changed options. The
+   * changes must already have been merged into options.
+   */
+  ParticleSystem.prototype.apply = function(changes) {
+    var particles = this.particles;
+    var i;
+
+    if (changes.hasOwnProperty('seed')) {
+      // Regenerate the whole field from the new seed
+      this.seed();
+      this.colorIndex = 0;
+      particles.length = 0;
+      this.layers = null;
+      this.buildLayers({});
+      this.adjustDensity();
+      return;
+    }
+    if (this.layers || changes.hasOwnProperty('layers')) {
+      this.buildLayers(changes);
+      this.adjustDensity();
+      return;
+    }
+    if (changes.hasOwnProperty('dotColor') || changes.hasOwnProperty('dotColorOrder')) {
+      this.colorIndex = 0;
+      for (i = 0; i < particles.length; i++) {
+        particles[i].color = this.pickColor();
+      }
+    }
+    if (changes.hasOwnProperty('density')) {
+      this.adjustDensity();
+    }
+    if (changes.hasOwnProperty('particleRadius') || changes.hasOwnProperty('rotationSpeed')) {
+      for (i = 0; i < particles.length; i++) {
+        particles[i].radius = this.pickSize() / 2;
+        particles[i].setSpin();
+      }
+    }
+    if (hasAny(changes, speedOptions)) {
+      for (i = 0; i < particles.length; i++) {
+        particles[i].setSpeed();
+      }
+    }
+    if (changes.hasOwnProperty('depth')) {
+      for (i = 0; i < particles.length; i++) {
+        particles[i].setDepth();
+      }
+    }
+  };
+
+  /**
+   * Particle
+   */
+  function Particle(system) {
+    var random = system.random;
+    this.system = system;
+    this.stackPos;
+    this.active = true;
+    // Added by spawn(), and not counted against options.density
+    this.spawned = false;
+    this.setDepth();
+    this.parallaxOffsetX = 0;
+    this.parallaxOffsetY = 0;
+    this.color = system.pickColor();
+    this.radius = system.pickSize() / 2;
+    this.setSpin();
+    // Initial particle position
+    this.position = {
+      x: Math.ceil(random() * system.width),
+      y: Math.ceil(random() * system.height)
+    }
+    this.setSpeed();
+  }
+
+  /**
+   * Random particle speed, within min and max values
+   */
+  Particle.prototype.setSpeed = function() {
+    var options = this.system.options;
+    var random = this.system.random;
+    this.speed = {}
+    switch (options.directionX) {
+      case 'left':
+        this.speed.x = +(-options.maxSpeedX + (random() * options.maxSpeedX) - options.minSpeedX).toFixed(2);
+        break;
+      case 'right':
+        this.speed.x = +((random() * options.maxSpeedX) + options.minSpeedX).toFixed(2);
+        break;
+      default:
+        this.speed.x = +((-options.maxSpeedX / 2) + (random() * options.maxSpeedX)).toFixed(2);
+        this.speed.x += this.speed.x > 0 ? options.minSpeedX : -options.minSpeedX;
+        break;
+    }
+    switch (options.directionY) {
+      case 'up':
+        this.speed.y = +(-options.maxSpeedY + (random() * options.maxSpeedY) - options.minSpeedY).toFixed(2);
+        break;
+      case 'down':
+        this.speed.y = +((random() * options.maxSpeedY) + options.minSpeedY).toFixed(2);
+        break;
+      default:
+        this.speed.y = +((-options.maxSpeedY / 2) + (random() * options.maxSpeedY)).toFixed(2);
+        this.speed.y += this.speed.y > 0 ? options.minSpeedY : -options.minSpeedY;
+        break;
+    }
+  }
+
+  /**
+   * Parallax depth: the layer's depth option, or random from 1 to 3
+   */
+  Particle.prototype.setDepth = function() {
+    this.layer = this.system.options.depth || Math.ceil(this.system.random() * 3);
+  }
+
+  /**
+   * Random rotation speed, within +/- options.rotationSpeed
+   */
+  Particle.prototype.setSpin = function() {
+    var rotationSpeed = this.system.options.rotationSpeed;
+    var random = this.system.random;
+    this.angle = rotationSpeed ? random() * Math.PI * 2 : 0;
+    this.spin = (random() * 2 - 1) * rotationSpeed;
+  }
+
+  /**
+   * update particle position
+   */
+  Particle.prototype.updatePosition = function(dt) {
+    var system = this.system;
+    var options = system.options;
+    var step = dt * system.timeScale;
+
+    if (options.parallax.enabled && system.quality >= parallaxQuality) {
+      // Calculate parallax offsets
+      this.parallaxTargX = system.parallaxPointer.x / (options.parallax.multiplier * this.layer);
+      // Easing is given per 1/60s, so compound it over the elapsed time
+      var ease = 1 - Math.pow(1 - options.parallax.easing, dt * 60);
+      this.parallaxOffsetX += (this.parallaxTargX - this.parallaxOffsetX) * ease; // Easing equation
+      this.parallaxTargY = system.parallaxPointer.y / (options.parallax.multiplier * this.layer);
+      this.parallaxOffsetY += (this.parallaxTargY - this.parallaxOffsetY) * ease; // Easing equation
+    }
+
+    // Push or pull particles near the pointer
+    var mode = options.interaction.mode;
+    if (system.pointer.active && (mode === 'repulse' || mode === 'attract')) {
+      var force = (mode === 'repulse' ? repulse : attract)(
+        this.position.x + this.parallaxOffsetX - system.pointer.x,
+        this.position.y + this.parallaxOffsetY - system.pointer.y,
+        options.interaction.radius,
+        options.interaction.strength * step
+      );
+      this.position.x += force.x;
+      this.position.y += force.y;
+    }
+
+    // Forces
+    var physics = options.physics;
+    var speed = this.speed;
+    speed.x += (physics.gravity.x + physics.wind.x) * step;
+    speed.y += (physics.gravity.y + physics.wind.y) * step;
+    if (physics.friction) {
+      var damping = Math.pow(1 - physics.friction, step);
+      speed.x *= damping;
+      speed.y *= damping;
+    }
+    if (physics.maxSpeed) {
+      var current = Math.sqrt((speed.x * speed.x) + (speed.y * speed.y));
+      if (current > physics.maxSpeed) {
+        speed.x *= physics.maxSpeed / current;
+        speed.y *= physics.maxSpeed / current;
+      }
+    }
+
+    // Both axes, so a particle leaving by a corner is handled on each
+    var inX = this.edge('x', speed.x * step, system.width);
+    var inY = this.edge('y', speed.y * step, system.height);
+    if (!inX || !inY) {
+      // Respawned, don't move off the edge we came in at
+      return;
+    }
+
+    // Move particle
+    this.position.x += this.speed.x * step;
+    this.position.y += this.speed.y * step;
+    this.angle += this.spin * step;
+  }
+
+  /**
+   * Handle the particle reaching the edge of the canvas on one axis ('x' or
+   * 'y') as it moves by delta. Returns false if it was respawned.
+   */
+  Particle.prototype.edge = function(axis, delta, size) {
+    var offset = axis === 'x' ? this.parallaxOffsetX : this.parallaxOffsetY;
+    var next = this.position[axis] + delta + offset;
+    if (next >= 0 && next <= size) { return true; }
+
+    switch (boundaryMode(this.system.options, axis)) {
+      case 'bounce':
+        // Reverse its direction
+        this.speed[axis] = -this.speed[axis];
+        break;
+      case 'wrap':
+        this.position[axis] = (next < 0 ? size : 0) - offset;
+        break;
+      case 'destroy-and-respawn':
+        this.respawn(axis, next < 0 ? size : 0);
+        return false;
+    }
+    return true;
+  };
+
+  /**
+   * Bring the particle back in with a new speed, at a random point on the
+   * edge at position at on axis
+   */
+  Particle.prototype.respawn = function(axis, at) {
+    var system = this.system;
+    var other = axis === 'x' ? 'y' : 'x';
+    this.setSpeed();
+    // Head into the canvas
+    if ((at === 0) !== (this.speed[axis] > 0)) {
+      this.speed[axis] = -this.speed[axis];
+    }
+    this.position[axis] = at - (axis === 'x' ? this.parallaxOffsetX : this.parallaxOffsetY);
+    this.position[other] = system.random() * (other === 'x' ? system.width : system.height);
+  };
+
+  /**
+   * Setter: particle stacking position
+   */
+  Particle.prototype.setStackPos = function(i) {
+    this.stackPos = i;
+  }
+
+  /**
+   * Renderers paint a ParticleSystem. Each one is constructed with
+   * (element, options, offscreen) and implements:
+   *
+   *   init()                         Create its node, false if unsupported
+   *   resize(width, height, ratio)   Size the output, in CSS pixels
+   *   render(system)                 Paint the current state
+   *   apply(changes)                 Pick up changed options
+   *   destroy()                      Remove its node and free resources
+   *
+   * node is the element pointer positions are measured against. Plugin falls
+   * back to canvas when the chosen renderer's init() fails.
+   */
+
+  /**
+   * Add a canvas to the element, behind its content
+   */
+  function insertCanvas(element) {
+    var canvas = document.createElement('canvas');
+    canvas.className = 'pg-canvas';
+    canvas.style.display = 'block';
+    element.insertBefore(canvas, element.firstChild);
+    return canvas;
+  }
+
+  /**
+   * Load an image for the 'image' shape, then call done with it. Loaded
+   * image elements and bitmaps are passed straight through.
+   */
+  function loadImage(src, worker, done) {
+    if (src && src.complete === false) {
+      // An image element that is still loading
+      src.addEventListener('load', function() {
+        done(src);
+      });
+      return;
+    }
+    if (typeof src !== 'string') {
+      done(src);
+      return;
+    }
+    if (worker) {
+      // There's no Image in a worker
+      fetch(src).then(function(response) {
+        return response.blob();
+      }).then(createImageBitmap).then(done);
+    } else {
+      var image = new Image();
+      image.onload = function() {
+        done(image);
+      };
+      image.src = src;
+    }
+  }
+
+  /**
+   * Canvas contents as an image Blob, on the main thread or in a worker
+   */
+  function canvasBlob(canvas, type) {
+    if (canvas.convertToBlob) {
+      return canvas.convertToBlob({ type: type });
+    }
+    return new Promise(function(resolve) {
+      canvas.toBlob(resolve, type);
+    });
+  }
+
+  /**
+   * Canvas renderer: the 2D context
+   */
+  function CanvasRenderer(element, options, offscreen) {
+    this.element = element;
+    this.options = options;
+    this.offscreen = offscreen;
+    this.sprite = null;
+  }
+
+  CanvasRenderer.prototype.init = function() {
+    if (this.offscreen) {
+      // Worker mode: paint into the canvas handed over by the main thread
+      this.node = this.offscreen.canvas;
+    } else {
+      if (!document.createElement('canvas').getContext) { return false; }
+      this.node = insertCanvas(this.element);
+    }
+    this.ctx = this.node.getContext('2d');
+    if (!this.ctx) {
+      this.destroy();
+      return false;
+    }
+    this.loadSprite();
+    return true;
+  };
+
+  CanvasRenderer.prototype.resize = function(width, height, pixelRatio) {
+    var canvas = this.node;
+    this.width = width;
+    this.height = height;
+    // Scale the backing store for HiDPI screens, and the context to match
+    canvas.width = Math.round(width * pixelRatio);
+    canvas.height = Math.round(height * pixelRatio);
+    if (!this.offscreen) {
+      canvas.style.width = width + 'px';
+      canvas.style.height = height + 'px';
+    }
+    // Resizing the canvas resets the context state
+    this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    this.styleContext();
+  };
+
+  /**
+   * Apply link color and width to the context. Dot colors are set per
+   * particle as they are drawn.
+   */
+  CanvasRenderer.prototype.styleContext = function() {
+    this.ctx.strokeStyle = this.options.links.color;
+    this.ctx.lineWidth = this.options.links.width;
+  };
+
+  CanvasRenderer.prototype.apply = function(changes) {
+    if (changes.hasOwnProperty('links')) {
+      this.styleContext();
+    }
+    if (changes.hasOwnProperty('image')) {
+      this.loadSprite();
+    }
+  };
+
+  /**
+   * Drawing skips the particles until options.image has loaded
+   */
+  CanvasRenderer.prototype.loadSprite = function() {
+    var self = this;
+    var src = this.options.image;
+    this.sprite = null;
+    loadImage(src, !!this.offscreen, function(image) {
+      if (self.options.image === src) {
+        self.sprite = image;
+      }
+    });
+  };
+
+  CanvasRenderer.prototype.render = function(system) {
+    var ctx = this.ctx;
+    var layers = system.visibleLayers();
+
+    // Wipe canvas
+    ctx.clearRect(0, 0, this.width, this.height);
+
+    for (var i = 0; i < layers.length; i++) {
+      this.drawLayer(layers[i]);
+    }
+    this.styleContext();
+
+    // Grab mode: link the pointer to every particle within the radius
+    if (this.options.interaction.mode === 'grab') {
+      var near = system.nearPointer();
+      ctx.beginPath();
+      for (var j = 0; j < near.length; j++) {
+        ctx.moveTo(system.pointer.x, system.pointer.y);
+        ctx.lineTo(near[j].position.x + near[j].parallaxOffsetX, near[j].position.y + near[j].parallaxOffsetY);
+      }
+      ctx.stroke();
+      ctx.closePath();
+    }
+  };
+
+  /**
+   * Draw one layer's links, then its particles
+   */
+  CanvasRenderer.prototype.drawLayer = function(layer) {
+    var ctx = this.ctx;
+    var links = layer.options.links;
+    var proximity = layer.linkProximity();
+    ctx.strokeStyle = links.color;
+    ctx.lineWidth = links.width;
+
+    // Draw lines between particles in proximity. Gradient and faded links
+    // each need their own stroke, plain ones are batched
+    if (links.gradient || links.fade) {
+      layer.links(function(p1, p2, distance) {
+        ctx.beginPath();
+        traceLink(ctx, p1, p2, links.curved);
+        if (links.gradient) {
+          var gradient = ctx.createLinearGradient(
+            p1.position.x + p1.parallaxOffsetX, p1.position.y + p1.parallaxOffsetY,
+            p2.position.x + p2.parallaxOffsetX, p2.position.y + p2.parallaxOffsetY
+          );
+          gradient.addColorStop(0, p1.color);
+          gradient.addColorStop(1, p2.color);
+          ctx.strokeStyle = gradient;
+        }
+        if (links.fade) {
+          ctx.globalAlpha = 1 - distance / proximity;
+        }
+        ctx.stroke();
+      });
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = links.color;
+    } else {
+      ctx.beginPath();
+      layer.links(function(p1, p2) {
+        traceLink(ctx, p1, p2, links.curved);
+      });
+      ctx.stroke();
+      ctx.closePath();
+    }
+
+    // Draw particles
+    for (var i = 0; i < layer.particles.length; i++) {
+      this.drawParticle(layer.particles[i]);
+    };
+  };
+
+  CanvasRenderer.prototype.drawParticle = function(p) {
+    var ctx = this.ctx;
+    var options = this.options;
+    var sprite = this.sprite;
+    var x = p.position.x + p.parallaxOffsetX;
+    var y = p.position.y + p.parallaxOffsetY;
+
+    if (options.shape === 'image') {
+      if (sprite && sprite.width) {
+        var size = p.radius * 2;
+        if (p.angle) {
+          ctx.save();
+          ctx.translate(x, y);
+          ctx.rotate(p.angle);
+          ctx.drawImage(sprite, -p.radius, -p.radius, size, size);
+          ctx.restore();
+        } else {
+          ctx.drawImage(sprite, x - p.radius, y - p.radius, size, size);
+        }
+      }
+    } else {
+      ctx.fillStyle = p.color;
+      ctx.beginPath();
+      traceShape(ctx, options.shape, x, y, p.radius, p.angle, options.sides);
+      ctx.closePath();
+      ctx.fill();
+    }
+  };
+
+  CanvasRenderer.prototype.destroy = function() {
+    if (!this.offscreen && this.node && this.node.parentNode) {
+      this.node.parentNode.removeChild(this.node);
+    }
+  };
+
+  /**
+   * Add a link between two particles to the current path
+   */
+  function traceLink(ctx, p1, p2, curved) {
+    ctx.moveTo(p1.position.x + p1.parallaxOffsetX, p1.position.y + p1.parallaxOffsetY);
+    if (curved) {
+      ctx.quadraticCurveTo(Math.max(p2.position.x, p2.position.x), Math.min(p2.position.y, p2.position.y), p2.position.x + p2.parallaxOffsetX, p2.position.y + p2.parallaxOffsetY);
+    } else {
+      ctx.lineTo(p2.position.x + p2.parallaxOffsetX, p2.position.y + p2.parallaxOffsetY);
+    }
+  }
+
+  var svgNS = 'http://www.w3.org/2000/svg';
+  // Gradient ids must be unique across every SVG on the page
+  var svgId = 0;
+
+  /**
+   * SVG renderer: one <circle> (or <path>/<image>) per particle and one
+   * <line> (or <path> for curved links) per link, for print and export.
+   * Each layer gets a <g> of its own. Nodes are reused between frames.
+   */
+  function SVGRenderer(element, options, offscreen) {
+    this.element = element;
+    this.options = options;
+    this.offscreen = offscreen;
+    this.id = 'pg' + (svgId++);
+  }
+
+  SVGRenderer.prototype.init = function() {
+    // There's no DOM in a worker
+    if (this.offscreen || !document || !document.createElementNS) { return false; }
+    var svg = this.node = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('class', 'pg-canvas');
+    svg.style.display = 'block';
+    this.layerGroups = [];
+    this.grabGroup = svg.appendChild(document.createElementNS(svgNS, 'g'));
+    this.element.insertBefore(svg, this.element.firstChild);
+    this.apply({ links: true });
+    return true;
+  };
+
+  SVGRenderer.prototype.resize = function(width, height) {
+    var svg = this.node;
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+  };
+
+  SVGRenderer.prototype.apply = function(changes) {
+    var links = this.options.links;
+    var i;
+    if (changes.hasOwnProperty('links') || changes.hasOwnProperty('layers')) {
+      this.grabGroup.setAttribute('stroke', links.color);
+      this.grabGroup.setAttribute('stroke-width', links.width);
+      // Curved and gradient links use different elements
+      for (i = 0; i < this.layerGroups.length; i++) {
+        emptyNode(this.layerGroups[i].links);
+        emptyNode(this.layerGroups[i].defs);
+      }
+    }
+    if (changes.hasOwnProperty('shape') || changes.hasOwnProperty('image')) {
+      for (i = 0; i < this.layerGroups.length; i++) {
+        emptyNode(this.layerGroups[i].dots);
+      }
+    }
+  };
+
+  SVGRenderer.prototype.render = function(system) {
+    var layers = system.visibleLayers();
+    var groups = this.layerGroups;
+    var i;
+
+    // One group per layer, under the grab lines
+    while (groups.length > layers.length) {
+      this.node.removeChild(groups.pop().node);
+    }
+    for (i = 0; i < layers.length; i++) {
+      var group = groups[i];
+      if (!group) {
+        group = groups[i] = { node: document.createElementNS(svgNS, 'g') };
+        group.defs = group.node.appendChild(document.createElementNS(svgNS, 'defs'));
+        group.links = group.node.appendChild(document.createElementNS(svgNS, 'g'));
+        group.dots = group.node.appendChild(document.createElementNS(svgNS, 'g'));
+        group.links.setAttribute('fill', 'none');
+        this.node.insertBefore(group.node, this.grabGroup);
+      } else if (group.layer !== layers[i]) {
+        // A layer was shown or hidden, so the nodes' attributes are another layer's
+        emptyNode(group.defs);
+        emptyNode(group.links);
+        emptyNode(group.dots);
+      }
+      group.layer = layers[i];
+      this.renderLayer(layers[i], group, this.id + '-' + i);
+    }
+
+    // Grab lines from the pointer
+    var near = this.options.interaction.mode === 'grab' ? system.nearPointer() : [];
+    var grabs = fillNode(this.grabGroup, near.length, 'line');
+    for (i = 0; i < near.length; i++) {
+      setAttributes(grabs[i], {
+        x1: system.pointer.x,
+        y1: system.pointer.y,
+        x2: near[i].position.x + near[i].parallaxOffsetX,
+        y2: near[i].position.y + near[i].parallaxOffsetY
+      });
+    }
+  };
+
+  /**
+   * Fill a layer's group with its links and particles. id prefixes the
+   * gradient ids.
+   */
+  SVGRenderer.prototype.renderLayer = function(layer, group, id) {
+    var options = this.options;
+    var links = layer.options.links;
+    var proximity = layer.linkProximity();
+    var particles = layer.particles;
+    var i;
+
+    // Links
+    group.links.setAttribute('stroke', links.color);
+    group.links.setAttribute('stroke-width', links.width);
+    var pairs = layer.links();
+    var linkNodes = fillNode(group.links, pairs.length, links.curved ? 'path' : 'line');
+    var gradients = links.gradient ? fillNode(group.defs, pairs.length, 'linearGradient') : [];
+    for (i = 0; i < pairs.length; i++) {
+      var p1 = pairs[i][0];
+      var p2 = pairs[i][1];
+      var x1 = p1.position.x + p1.parallaxOffsetX;
+      var y1 = p1.position.y + p1.parallaxOffsetY;
+      var x2 = p2.position.x + p2.parallaxOffsetX;
+      var y2 = p2.position.y + p2.parallaxOffsetY;
+      var node = linkNodes[i];
+      if (links.curved) {
+        node.setAttribute('d', 'M' + x1 + ' ' + y1 + 'Q' + p2.position.x + ' ' + p2.position.y + ' ' + x2 + ' ' + y2);
+      } else {
+        setAttributes(node, { x1: x1, y1: y1, x2: x2, y2: y2 });
+      }
+      if (links.gradient) {
+        setGradient(gradients[i], id + '-' + i, x1, y1, x2, y2, p1.color, p2.color);
+        node.setAttribute('stroke', 'url(#' + id + '-' + i + ')');
+      }
+      if (links.fade) {
+        node.setAttribute('stroke-opacity', 1 - pairs[i][2] / proximity);
+      }
+    }
+
+    // Particles
+    var shape = options.shape;
+    var dots = fillNode(group.dots, particles.length, shape === 'circle' ? 'circle' : shape === 'image' ? 'image' : 'path');
+    for (i = 0; i < particles.length; i++) {
+      var p = particles[i];
+      var x = p.position.x + p.parallaxOffsetX;
+      var y = p.position.y + p.parallaxOffsetY;
+      var dot = dots[i];
+      if (shape === 'circle') {
+        setAttributes(dot, { cx: x, cy: y, r: p.radius, fill: p.color });
+      } else if (shape === 'image') {
+        var src = typeof options.image === 'string' ? options.image : options.image && options.image.src;
+        setAttributes(dot, {
+          href: src || '',
+          x: x - p.radius,
+          y: y - p.radius,
+          width: p.radius * 2,
+          height: p.radius * 2,
+          transform: p.angle ? 'rotate(' + (p.angle * 180 / Math.PI) + ' ' + x + ' ' + y + ')' : ''
+        });
+      } else {
+        setAttributes(dot, { d: shapePath(shape, x, y, p.radius, p.angle, options.sides), fill: p.color });
+      }
+    }
+  };
+
+  SVGRenderer.prototype.destroy = function() {
+    if (this.node && this.node.parentNode) {
+      this.node.parentNode.removeChild(this.node);
+    }
+  };
+
+  function setAttributes(node, attrs) {
+    for (var name in attrs) {
+      node.setAttribute(name, attrs[name]);
+    }
+  }
+
+  function emptyNode(node) {
+    while (node.lastChild) {
+      node.removeChild(node.lastChild);
+    }
+  }
+
+  /**
+   * Add or remove children of node until it has count of them, and return
+   * them. Children of another tag are replaced.
+   */
+  function fillNode(node, count, tagName) {
+    var children = node.childNodes;
+    if (children.length && children[0].tagName !== tagName) {
+      emptyNode(node);
+    }
+    while (children.length > count) {
+      node.removeChild(node.lastChild);
+    }
+    while (children.length < count) {
+      node.appendChild(document.createElementNS(svgNS, tagName));
+    }
+    return children;
+  }
+
+  function setGradient(gradient, id, x1, y1, x2, y2, from, to) {
+    setAttributes(gradient, { id: id, gradientUnits: 'userSpaceOnUse', x1: x1, y1: y1, x2: x2, y2: y2 });
+    var stops = fillNode(gradient, 2, 'stop');
+    setAttributes(stops[0], { offset: 0, 'stop-color': from });
+    setAttributes(stops[1], { offset: 1, 'stop-color': to });
+  }
+
+  /**
+   * traceShape() as SVG path data, for every shape but the circle
+   */
+  function shapePath(shape, x, y, r, angle, sides) {
+    var d = '';
+    traceShape({
+      moveTo: function(x, y) { d += 'M' + x + ' ' + y; },
+      lineTo: function(x, y) { d += 'L' + x + ' ' + y; }
+    }, shape, x, y, r, angle, sides);
+    return d + 'Z';
+  }
+
+  /**
+   * WebGL renderer, for thousands of particles: every link is a line segment
+   * and every particle an instance of its shape's mesh, each drawn in a single
+   * call per layer. Shapes are tessellated with traceShape(), so they match
+   * the canvas renderer, rotation included. Images are drawn as textured
+   * quads. Needs instancing (ANGLE_instanced_arrays), which every WebGL
+   * browser has. Most browsers only draw 1px wide lines.
+   */
+  function WebGLRenderer(element, options, offscreen) {
+    this.element = element;
+    this.options = options;
+    this.offscreen = offscreen;
+    this.sprite = null;
+    this.instances = new Float32Array(0);
+    this.lines = new Float32Array(0);
+    this.meshSize = 0;
+  }
+
+  var shapeShaders = [
+    'attribute vec2 a_vertex;' +
+    'attribute vec2 a_center;' +
+    'attribute float a_radius;' +
+    'attribute float a_angle;' +
+    'attribute vec4 a_color;' +
+    'uniform vec2 u_resolution;' +
+    'varying vec4 v_color;' +
+    'varying vec2 v_texCoord;' +
+    'void main() {' +
+    '  float c = cos(a_angle);' +
+    '  float s = sin(a_angle);' +
+    '  vec2 position = a_center + mat2(c, s, -s, c) * a_vertex * a_radius;' +
+    '  vec2 clip = position / u_resolution * 2.0 - 1.0;' +
+    '  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);' +
+    '  v_color = a_color;' +
+    '  v_texCoord = a_vertex * 0.5 + 0.5;' +
+    '}',
+    'precision mediump float;' +
+    'uniform bool u_image;' +
+    'uniform sampler2D u_sprite;' +
+    'varying vec4 v_color;' +
+    'varying vec2 v_texCoord;' +
+    'void main() {' +
+    '  if (u_image) {' +
+    '    gl_FragColor = texture2D(u_sprite, v_texCoord);' +
+    '    return;' +
+    '  }' +
+    '  gl_FragColor = vec4(v_color.rgb * v_color.a, v_color.a);' +
+    '}'
+  ];
+
+  var lineShaders = [
+    'attribute vec2 a_position;' +
+    'attribute vec4 a_color;' +
+    'uniform vec2 u_resolution;' +
+    'varying vec4 v_color;' +
+    'void main() {' +
+    '  vec2 clip = a_position / u_resolution * 2.0 - 1.0;' +
+    '  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);' +
+    '  v_color = a_color;' +
+    '}',
+    'precision mediump float;' +
+    'varying vec4 v_color;' +
+    'void main() {' +
+    '  gl_FragColor = vec4(v_color.rgb * v_color.a, v_color.a);' +
+    '}'
+  ];
+
+  // Segments in a circle's mesh
+  var circleSegments = 32;
+
+  /**
+   * Triangles, as [x, y, ...], of a shape with radius 1 at the origin. Shapes
+   * are fanned out from their centre, which every star and polygon can see.
+   */
+  function shapeMesh(shape, sides) {
+    if (shape === 'image') {
+      return [-1, -1, 1, -1, 1, 1, -1, -1, 1, 1, -1, 1];
+    }
+    var outline = [];
+    traceShape({
+      moveTo: function(x, y) { outline.push(x, y); },
+      lineTo: function(x, y) { outline.push(x, y); },
+      arc: function(x, y, r) {
+        for (var i = 0; i < circleSegments; i++) {
+          var a = (i * Math.PI * 2) / circleSegments;
+          outline.push(x + r * Math.cos(a), y + r * Math.sin(a));
+        }
+      }
+    }, shape, 0, 0, 1, 0, sides);
+    var mesh = [];
+    for (var i = 0; i < outline.length; i += 2) {
+      var next = (i + 2) % outline.length;
+      mesh.push(0, 0, outline[i], outline[i + 1], outline[next], outline[next + 1]);
+    }
+    return mesh;
+  }
+
+  WebGLRenderer.prototype.init = function() {
+    var canvas;
+    if (this.offscreen) {
+      canvas = this.offscreen.canvas;
+    } else {
+      if (!window.WebGLRenderingContext) { return false; }
+      canvas = insertCanvas(this.element);
+    }
+    this.node = canvas;
+    var gl = this.gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+    this.instancing = gl && gl.getExtension('ANGLE_instanced_arrays');
+    if (!this.instancing || !(this.shapeProgram = createProgram(gl, shapeShaders)) || !(this.lineProgram = createProgram(gl, lineShaders))) {
+      this.destroy();
+      return false;
+    }
+    this.meshBuffer = gl.createBuffer();
+    this.instanceBuffer = gl.createBuffer();
+    this.lineBuffer = gl.createBuffer();
+    this.texture = gl.createTexture();
+    // Shaders output premultiplied colors
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.clearColor(0, 0, 0, 0);
+    this.buildMesh();
+    this.loadSprite();
+    return true;
+  };
+
+  WebGLRenderer.prototype.resize = function(width, height, pixelRatio) {
+    var canvas = this.node;
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio;
+    canvas.width = Math.round(width * pixelRatio);
+    canvas.height = Math.round(height * pixelRatio);
+    if (!this.offscreen) {
+      canvas.style.width = width + 'px';
+      canvas.style.height = height + 'px';
+    }
+    this.gl.viewport(0, 0, canvas.width, canvas.height);
+  };
+
+  WebGLRenderer.prototype.apply = function(changes) {
+    if (changes.hasOwnProperty('shape') || changes.hasOwnProperty('sides')) {
+      this.buildMesh();
+    }
+    if (changes.hasOwnProperty('image')) {
+      this.loadSprite();
+    }
+  };
+
+  /**
+   * Upload the mesh every particle is drawn with
+   */
+  WebGLRenderer.prototype.buildMesh = function() {
+    var gl = this.gl;
+    var mesh = shapeMesh(this.options.shape, this.options.sides);
+    this.meshSize = mesh.length / 2;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.meshBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(mesh), gl.STATIC_DRAW);
+  };
+
+  WebGLRenderer.prototype.loadSprite = function() {
+    var self = this;
+    var src = this.options.image;
+    this.sprite = null;
+    if (!src) { return; }
+    loadImage(src, !!this.offscreen, function(image) {
+      var gl = self.gl;
+      if (self.options.image !== src || !gl) { return; }
+      gl.bindTexture(gl.TEXTURE_2D, self.texture);
+      gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+      // Sprites needn't be a power of two
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      self.sprite = image;
+    });
+  };
+
+  WebGLRenderer.prototype.render = function(system) {
+    var options = this.options;
+    var layers = system.visibleLayers();
+    var i;
+
+    this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+    for (i = 0; i < layers.length; i++) {
+      this.renderLayer(layers[i]);
+    }
+
+    // Grab lines from the pointer, over every layer
+    if (options.interaction.mode === 'grab') {
+      var linkColor = parseColor(options.links.color);
+      var near = system.nearPointer();
+      var lines = [];
+      for (i = 0; i < near.length; i++) {
+        lines.push(
+          system.pointer.x, system.pointer.y, linkColor[0], linkColor[1], linkColor[2], linkColor[3],
+          near[i].position.x + near[i].parallaxOffsetX, near[i].position.y + near[i].parallaxOffsetY, linkColor[0], linkColor[1], linkColor[2], linkColor[3]
+        );
+      }
+      this.drawLines(lines, options.links.width);
+    }
+  };
+
+  /**
+   * Draw one layer's links, then its particles
+   */
+  WebGLRenderer.prototype.renderLayer = function(layer) {
+    var options = this.options;
+    var links = layer.options.links;
+    var particles = layer.particles;
+    var linkColor = parseColor(links.color);
+    var proximity = layer.linkProximity();
+    var lines = [];
+
+    // Line vertices: x, y, r, g, b, a
+    layer.links(function(p1, p2, distance) {
+      var alpha = links.fade ? 1 - distance / proximity : 1;
+      var from = links.gradient ? parseColor(p1.color) : linkColor;
+      var to = links.gradient ? parseColor(p2.color) : linkColor;
+      lines.push(
+        p1.position.x + p1.parallaxOffsetX, p1.position.y + p1.parallaxOffsetY, from[0], from[1], from[2], from[3] * alpha,
+        p2.position.x + p2.parallaxOffsetX, p2.position.y + p2.parallaxOffsetY, to[0], to[1], to[2], to[3] * alpha
+      );
+    });
+    this.drawLines(lines, links.width);
+
+    // Instances: x, y, radius, angle, r, g, b, a
+    if (options.shape === 'image' && !this.sprite) { return; }
+    var instances = [];
+    for (var i = 0; i < particles.length; i++) {
+      var p = particles[i];
+      var color = parseColor(p.color);
+      instances.push(p.position.x + p.parallaxOffsetX, p.position.y + p.parallaxOffsetY, p.radius, p.angle, color[0], color[1], color[2], color[3]);
+    }
+    this.drawShapes(instances);
+  };
+
+  WebGLRenderer.prototype.drawLines = function(lines, width) {
+    var gl = this.gl;
+    if (!lines.length) { return; }
+    this.lines = fillBuffer(this.lines, lines);
+    gl.useProgram(this.lineProgram);
+    gl.uniform2f(gl.getUniformLocation(this.lineProgram, 'u_resolution'), this.width, this.height);
+    gl.lineWidth(width);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.lineBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this.lines, gl.DYNAMIC_DRAW);
+    attribute(gl, this.lineProgram, 'a_position', 2, 6, 0);
+    attribute(gl, this.lineProgram, 'a_color', 4, 6, 2);
+    gl.drawArrays(gl.LINES, 0, lines.length / 6);
+  };
+
+  WebGLRenderer.prototype.drawShapes = function(instances) {
+    var gl = this.gl;
+    var ext = this.instancing;
+    var program = this.shapeProgram;
+    if (!instances.length) { return; }
+    this.instances = fillBuffer(this.instances, instances);
+    gl.useProgram(program);
+    gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.width, this.height);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_image'), this.options.shape === 'image' ? 1 : 0);
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.meshBuffer);
+    attribute(gl, program, 'a_vertex', 2, 2, 0);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this.instances, gl.DYNAMIC_DRAW);
+    var perInstance = [
+      attribute(gl, program, 'a_center', 2, 8, 0),
+      attribute(gl, program, 'a_radius', 1, 8, 2),
+      attribute(gl, program, 'a_angle', 1, 8, 3),
+      attribute(gl, program, 'a_color', 4, 8, 4)
+    ];
+    var i;
+    for (i = 0; i < perInstance.length; i++) {
+      ext.vertexAttribDivisorANGLE(perInstance[i], 1);
+    }
+    ext.drawArraysInstancedANGLE(gl.TRIANGLES, 0, this.meshSize, instances.length / 8);
+    // Divisors outlive the program, and the line attributes are per vertex
+    for (i = 0; i < perInstance.length; i++) {
+      ext.vertexAttribDivisorANGLE(perInstance[i], 0);
+    }
+  };
+
+  WebGLRenderer.prototype.destroy = function() {
+    var gl = this.gl;
+    if (gl) {
+      // Browsers cap the number of live contexts, so give ours back now
+      var lose = gl.getExtension('WEBGL_lose_context');
+      if (lose) {
+        lose.loseContext();
+      }
+      this.gl = null;
+    }
+    if (!this.offscreen && this.node && this.node.parentNode) {
+      this.node.parentNode.removeChild(this.node);
+    }
+  };
+
+  function createProgram(gl, sources) {
+    var program = gl.createProgram();
+    var types = [gl.VERTEX_SHADER, gl.FRAGMENT_SHADER];
+    for (var i = 0; i < 2; i++) {
+      var shader = gl.createShader(types[i]);
+      gl.shaderSource(shader, sources[i]);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) { return null; }
+      gl.attachShader(program, shader);
+    }
+    gl.linkProgram(program);
+    return gl.getProgramParameter(program, gl.LINK_STATUS) ? program : null;
+  }
+
+  /**
+   * Point an attribute at the bound buffer of interleaved floats. Returns its
+   * location.
+   */
+  function attribute(gl, program, name, size, stride, offset) {
+    var location = gl.getAttribLocation(program, name);
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride * 4, offset * 4);
+    return location;
+  }
+
+  /**
+   * Copy values into buffer, growing it if needed. Returns a view of just
+   * the values.
+   */
+  function fillBuffer(buffer, values) {
+    if (buffer.length < values.length) {
+      buffer = new Float32Array(values.length * 2);
+    }
+    buffer.set(values);
+    return buffer.subarray(0, values.length);
+  }
+
+  var colorCache = {};
+  var colorContext;
+
+  /**
+   * CSS color as [r, g, b, a] in the range 0-1. Hex and rgb(a) colors are
+   * parsed directly, anything else is normalized by a 2D context.
+   */
+  function parseColor(color) {
+    if (colorCache.hasOwnProperty(color)) {
+      return colorCache[color];
+    }
+    var css = color;
+    if (!/^(#|rgb)/.test(css)) {
+      if (!colorContext) {
+        colorContext = (typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(1, 1) : document.createElement('canvas')).getContext('2d');
+      }
+      colorContext.fillStyle = color;
+      css = colorContext.fillStyle;
+    }
+    var rgba;
+    var hex = /^#([0-9a-f]{3,8})$/i.exec(css);
+    if (hex) {
+      hex = hex[1];
+      if (hex.length < 6) {
+        hex = hex.replace(/./g, '$&$&');
+      }
+      rgba = [0, 2, 4, 6].map(function(i) {
+        return i < hex.length ? parseInt(hex.substr(i, 2), 16) / 255 : 1;
+      });
+    } else {
+      rgba = (css.match(/[\d.]+/g) || []).map(Number);
+      rgba = [(rgba[0] || 0) / 255, (rgba[1] || 0) / 255, (rgba[2] || 0) / 255, rgba.length > 3 ? rgba[3] : 1];
+    }
+    return (colorCache[color] = rgba);
+  }
+
+  var renderers = {
+    canvas: CanvasRenderer,
+    svg: SVGRenderer,
+    webgl: WebGLRenderer
+  };
+
+  /**
+   * The instance behind particleground(). offscreen is set when running in a
+   * worker. emitter carries the listeners over when a worker proxy falls back
+   * to this thread, which has announced init already.
+   */
+  function Plugin(element, options, offscreen, emitter) {
+    var renderer;
+    var system;
+    // Canvas size in CSS pixels, which all particle math works in
+    var width;
+    var height;
+    var pixelRatio = 1;
+    var resizeObserver;
+    var raf;
+    var mouseX = 0;
+    var mouseY = 0;
+    var winW;
+    var winH;
+    // Parallax follows device tilt where the primary pointer is a finger, not
+    // a mouse. Inside a worker, tilt input is forwarded only if the main
+    // thread uses it.
+    var useTilt = offscreen ? offscreen.tilt : !!(window.DeviceOrientationEvent && window.matchMedia &&
+      window.matchMedia('(pointer: coarse)').matches);
+    var tiltX = 0;
+    var pointerX;
+    var pointerY;
+    var tiltY = 0;
+    var listeners = [];
+    var paused = false;
+    // Reasons the system is suspended by itself, e.g. the page being hidden
+    var holds = {};
+    var reducedMotion = false;
+    var unwatchMotion;
+    var lastTime = null;
+    var accumulator = 0;
+    var destroyed = false;
+    var recording = null;
+    var events = emitter || createEmitter(element);
+    // Events a worker posts to the main thread. 'frame' only once asked for
+    var forwarded = { resize: true, particleClick: true, qualityChange: true };
+    // Rolling average frame rate, for frame events
+    var fps = 0;
+    // Rolling average of the ms spent on each frame, for adaptive mode
+    var frameTime = 0;
+    var lastAdapt = null;
+
+    options = extend({}, normalizeOptions(particleground.defaults), normalizeOptions(options));
+
+    // The worker has no DOM to build an SVG in
+    if (options.worker && !offscreen && workerSupport && particleground.workerUrl && options.renderer !== 'svg') {
+      var proxy = WorkerPlugin(element, options, useTilt);
+      if (proxy) { return proxy; }
+    }
+
+    /**
+     * Init
+     */
+    function init() {
+      if (offscreen) {
+        winW = offscreen.winW;
+        winH = offscreen.winH;
+      }
+
+      // Create particles. The simulation shares our options object
+      system = new ParticleSystem(options, element.offsetWidth, element.offsetHeight);
+      options = system.options;
+
+      renderer = createRenderer();
+      if (!renderer) { return; }
+      sizeRenderer();
+
+      if (offscreen) {
+        // Input events are forwarded by the main thread
+        listeners = [[window, 'message', messageHandler, false]];
+      } else {
+        listeners = [
+          [window, 'resize', resizeHandler, false],
+          [document, 'mousemove', pointerMoveHandler, false],
+          [document, 'mouseout', pointerLeaveHandler, false],
+          [document, 'touchstart', pointerMoveHandler, false],
+          [document, 'touchmove', pointerMoveHandler, false],
+          [document, 'touchend', pointerLeaveHandler, false],
+          [element, 'click', clickHandler, false]
+        ];
+        if (useTilt) {
+          listeners.push([window, 'deviceorientation', orientationHandler, true]);
+        }
+        // Window resizes are still needed for pixel ratio and parallax changes
+        if (window.ResizeObserver) {
+          resizeObserver = new ResizeObserver(resizeHandler);
+          resizeObserver.observe(element);
+        }
+      }
+      bind(listeners);
+      if (!offscreen) {
+        // In worker mode, the main thread watches these for us
+        unwatchMotion = watchMotion(element, options, motionHandlers);
+      }
+
+      draw();
+      if (!emitter) {
+        hook('onInit');
+        // Async, so listeners added with on() as soon as we return hear it
+        Promise.resolve().then(function() {
+          if (!destroyed) {
+            emit('init');
+          }
+        });
+      }
+    }
+
+    /**
+     * Create the renderer for options.renderer, falling back to canvas if
+     * it isn't supported. Returns null without canvas support.
+     */
+    function createRenderer() {
+      var Renderer = renderers[options.renderer] || CanvasRenderer;
+      var created = new Renderer(element, options, offscreen);
+      if (created.init()) {
+        return created;
+      }
+      if (Renderer !== CanvasRenderer) {
+        created = new CanvasRenderer(element, options, offscreen);
+        if (created.init()) {
+          return created;
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Size the renderer to the element
+     */
+    function sizeRenderer() {
+      width = element.offsetWidth;
+      height = element.offsetHeight;
+      pixelRatio = currentPixelRatio();
+      renderer.resize(width, height, pixelRatio);
+    }
+
+    /**
+     * devicePixelRatio, capped at options.maxPixelRatio. A worker has no
+     * devicePixelRatio of its own, the main thread sends it.
+     */
+    function currentPixelRatio() {
+      var ratio = offscreen ? offscreen.pixelRatio : window.devicePixelRatio;
+      return Math.min(ratio || 1, options.maxPixelRatio);
+    }
+
+    /**
+     * Draw particles
+     */
+    function draw() {
+      if (!renderer) { return; }
+
+      var time = now();
+
+      // Skip this display frame if it comes too soon for options.fps
+      if (options.fps && lastTime !== null && time - lastTime < 1000 / options.fps - 1) {
+        raf = requestFrame(draw);
+        return;
+      }
+
+      // Seconds since the last frame. The first frame after (re)starting doesn't move
+      var dt = lastTime === null ? 0 : Math.min((time - lastTime) / 1000, maxFrameTime);
+      lastTime = time;
+
+      if (options.timestep > 0) {
+        // Fixed timestep: deterministic whatever the frame rate
+        accumulator += dt;
+        var steps = 0;
+        while (accumulator >= options.timestep && steps < maxSteps) {
+          update(options.timestep);
+          accumulator -= options.timestep;
+          steps++;
+        }
+        if (steps === maxSteps) {
+          accumulator = 0;
+        }
+      } else {
+        update(dt);
+      }
+
+      render();
+
+      var duration = now() - time;
+      if (dt) {
+        fps = fps ? fps + (1 / dt - fps) * 0.1 : 1 / dt;
+      }
+      if (options.adaptive.enabled) {
+        adapt(time, duration);
+      }
+      if (wants('frame')) {
+        emit('frame', {
+          time: time,
+          delta: dt,
+          duration: duration,
+          fps: fps,
+          particles: system.particles.length,
+          quality: system.quality
+        });
+      }
+
+      // Call this function next time screen is redrawn
+      if (!paused && !isHeld()) {
+        raf = requestFrame(draw);
+      }
+    }
+
+    /**
+     * Adaptive mode: trade particles, link reach and parallax for frame time
+     */
+    function adapt(time, duration) {
+      var adaptive = options.adaptive;
+      frameTime = frameTime ? frameTime + (duration - frameTime) * 0.05 : duration;
+      if (lastAdapt === null) {
+        // Measure for a while before the first change
+        lastAdapt = time;
+      }
+      if (time - lastAdapt < adaptInterval) { return; }
+
+      var quality = system.quality;
+      if (frameTime > adaptive.budget) {
+        quality -= qualityStep;
+      } else if (frameTime < adaptive.budget * headroom) {
+        quality += qualityStep;
+      }
+      quality = Math.round(Math.min(Math.max(quality, adaptive.min), adaptive.max) * 100) / 100;
+      if (quality !== system.quality) {
+        lastAdapt = time;
+        setQuality(quality);
+        // Measure the new quality afresh
+        frameTime = 0;
+      }
+    }
+
+    function setQuality(quality) {
+      system.setQuality(quality);
+      hook('onQualityChange', quality);
+      emit('qualityChange', { quality: quality, frameTime: frameTime });
+    }
+
+    /**
+     * Feed the latest input to the simulation and advance it by dt seconds
+     */
+    function update(dt) {
+      if (!offscreen) {
+        winW = window.innerWidth;
+        winH = window.innerHeight;
+      }
+
+      if (useTilt) {
+        // Map tiltX range [-30,30] to range [0,winW]
+        var ratioX = (winW - 0) / (30 - -30);
+        pointerX = (tiltX - -30) * ratioX + 0;
+        // Map tiltY range [-30,30] to range [0,winH]
+        var ratioY = (winH - 0) / (30 - -30);
+        pointerY = (tiltY - -30) * ratioY + 0;
+      } else {
+        pointerX = mouseX;
+        pointerY = mouseY;
+      }
+      system.parallaxPointer.x = pointerX - (winW / 2);
+      system.parallaxPointer.y = pointerY - (winH / 2);
+
+      // Drift slowly if the user prefers reduced motion
+      system.timeScale = reducedMotion && options.reducedMotion.mode === 'slow' ? options.reducedMotion.speed : 1;
+
+      system.step(dt);
+    }
+
+    /**
+     * Paint the current state
+     */
+    function render() {
+      renderer.render(system);
+    }
+
+    /**
+     * Add/remove particles.
+     */
+    function resizeHandler() {
+      // Both the window and the element observer report resizes
+      if (element.offsetWidth === width && element.offsetHeight === height && currentPixelRatio() === pixelRatio) {
+        return;
+      }
+
+      // Resize the canvas
+      sizeRenderer();
+      system.resize(width, height);
+      emit('resize', {
+        width: width,
+        height: height,
+        pixelRatio: pixelRatio,
+        particles: system.particles.length
+      });
+
+      // Resizing wipes the canvas, so repaint if the loop isn't running
+      if (paused || isHeld()) {
+        render();
+      }
+    }
+
+    /**
+     * Track the pointer for parallax and interaction
+     */
+    function pointerMoveHandler(e) {
+      setPointer(pointerPosition(e, renderer.node));
+    }
+
+    function pointerLeaveHandler(e) {
+      // mouseout bubbles from every element, we only care about leaving the window
+      if (e.type === 'touchend' || !e.relatedTarget) {
+        system.pointer.active = false;
+      }
+    }
+
+    function setPointer(pos) {
+      mouseX = pos.pageX;
+      mouseY = pos.pageY;
+      system.pointer.x = pos.x;
+      system.pointer.y = pos.y;
+      system.pointer.active = true;
+    }
+
+    /**
+     * Spawn particles where the element is clicked or tapped
+     */
+    function clickHandler(e) {
+      var pos = pointerPosition(e, renderer.node);
+      click(pos.x, pos.y);
+    }
+
+    function click(x, y) {
+      var particle = system.particleAt(x, y);
+      if (particle) {
+        emit('particleClick', {
+          particle: offscreen ? particleData(particle) : particle,
+          layerName: particle.system.name || null,
+          x: x,
+          y: y
+        });
+      }
+      system.spawn(x, y, options.interaction.spawn);
+    }
+
+    /**
+     * Track device tilt for parallax
+     */
+    function orientationHandler(e) {
+      // Contrain tilt range to [-30,30]
+      tiltY = Math.min(Math.max(-e.beta, -30), 30);
+      tiltX = Math.min(Math.max(-e.gamma, -30), 30);
+    }
+
+    /**
+     * Input forwarded from the main thread (worker mode)
+     */
+    function messageHandler(e) {
+      var data = e.data;
+      switch (data.type) {
+        case 'pointer':
+          setPointer(data);
+          break;
+        case 'pointerleave':
+          system.pointer.active = false;
+          break;
+        case 'click':
+          click(data.x, data.y);
+          break;
+        case 'listen':
+          forwarded[data.name] = true;
+          break;
+        case 'suspend':
+          suspend(data.reason);
+          break;
+        case 'resume':
+          resume(data.reason);
+          break;
+        case 'reducedMotion':
+          setReducedMotion(data.matches);
+          break;
+        case 'tilt':
+          tiltX = data.x;
+          tiltY = data.y;
+          break;
+        case 'resize':
+          // In the worker, element is a stand-in that only tracks the size
+          element.offsetWidth = data.width;
+          element.offsetHeight = data.height;
+          offscreen.pixelRatio = data.pixelRatio;
+          winW = data.winW;
+          winH = data.winH;
+          resizeHandler();
+          break;
+      }
+    }
+
+    /**
+     * Pause particle system
+     */
+    function pause() {
+      if (destroyed) { return; }
+      paused = true;
+      emit('pause');
+    }
+
+    /**
+     * Start particle system
+     */
+    function start() {
+      if (destroyed) { return; }
+      paused = false;
+      run();
+      emit('start');
+    }
+
+    /**
+     * (Re)start the draw loop
+     */
+    function run() {
+      // Don't run two loops if we were never paused
+      cancelFrame(raf);
+      // Don't count the time spent stopped
+      lastTime = null;
+      draw();
+    }
+
+    /**
+     * Suspend/resume the system by itself (see watchMotion). This is
+     * independent of pause(): a paused system stays paused on resume.
+     */
+    function suspend(reason) {
+      holds[reason] = true;
+      cancelFrame(raf);
+      hook('onAutoPause', reason);
+    }
+
+    function resume(reason) {
+      delete holds[reason];
+      hook('onAutoResume', reason);
+      if (!paused && !isHeld()) {
+        run();
+      }
+    }
+
+    function isHeld() {
+      for (var reason in holds) {
+        if (holds.hasOwnProperty(reason)) { return true; }
+      }
+      return false;
+    }
+
+    function setReducedMotion(matches) {
+      reducedMotion = matches;
+      hook('onReducedMotion', matches);
+    }
+
+    var motionHandlers = {
+      suspend: suspend,
+      resume: resume,
+      reducedMotion: setReducedMotion
+    };
+
+    /**
+     * Get an option, or set one or more and apply them to the running system
+     */
+    function option(key, val) {
+      var changes = optionChanges(key, val);
+      if (!changes) {
+        return getOption(options, key);
+      }
+      extend(options, changes);
+      applyOptions(changes);
+      hook('onOptionChange', changes);
+      emit('optionChange', changes);
+    }
+
+    /**
+     * Show or hide a layer by name, or toggle it without visible
+     */
+    function toggleLayer(name, visible) {
+      option('layers', toggledLayers(options.layers, name, visible));
+    }
+
+    /**
+     * Rebuild whatever depends on the changed options
+     */
+    function applyOptions(changes) {
+      if (!renderer || destroyed) { return; }
+
+      system.apply(changes);
+      if (changes.hasOwnProperty('adaptive') && !options.adaptive.enabled && system.quality !== 1) {
+        setQuality(1);
+      }
+      // An OffscreenCanvas is stuck with its first context, so a worker
+      // keeps the renderer it started with
+      if (changes.hasOwnProperty('renderer') && !offscreen) {
+        renderer.destroy();
+        renderer = createRenderer();
+        sizeRenderer();
+        if (paused || isHeld()) {
+          render();
+        }
+      } else {
+        renderer.apply(changes);
+      }
+      if (changes.hasOwnProperty('maxPixelRatio')) {
+        resizeHandler();
+      }
+      if (unwatchMotion && hasAny(changes, motionOptions)) {
+        unwatchMotion(true);
+        unwatchMotion = watchMotion(element, options, motionHandlers);
+      }
+    }
+
+    /**
+     * A renderer of our system that isn't on the page, for exports
+     */
+    function detachedRenderer(Renderer, ratio) {
+      var created = offscreen ?
+        new Renderer(null, options, { canvas: new OffscreenCanvas(1, 1) }) :
+        new Renderer(document.createElement('div'), options, null);
+      if (!created.init()) { return null; }
+      // Don't wait for the sprite to load again
+      if (renderer.sprite) {
+        created.sprite = renderer.sprite;
+      }
+      created.resize(width, height, ratio);
+      return created;
+    }
+
+    /**
+     * Export the current frame as a 'png' or 'svg' image. Resolves with a Blob.
+     */
+    function exportFrame(settings) {
+      settings = settings || {};
+      var format = settings.format || 'png';
+      if (!renderer || destroyed) {
+        return Promise.reject(new Error(pluginName + ': nothing to export'));
+      }
+      if (format === 'svg') {
+        var svg = !offscreen && detachedRenderer(SVGRenderer, 1);
+        if (!svg) {
+          return Promise.reject(new Error(pluginName + ': SVG export needs the DOM'));
+        }
+        svg.render(system);
+        var markup = new XMLSerializer().serializeToString(svg.node);
+        svg.destroy();
+        return Promise.resolve(new Blob([markup], { type: 'image/svg+xml' }));
+      }
+      if (format === 'png') {
+        var png = detachedRenderer(CanvasRenderer, settings.pixelRatio || pixelRatio);
+        if (!png) {
+          return Promise.reject(new Error(pluginName + ': PNG export needs canvas support'));
+        }
+        png.render(system);
+        return canvasBlob(png.node, 'image/png').then(function(blob) {
+          png.destroy();
+          return blob;
+        });
+      }
+      return Promise.reject(new Error(pluginName + ': unknown export format ' + format));
+    }
+
+    /**
+     * Record a WebM video of the next settings.seconds at settings.fps.
+     * Over the last second the field eases back to the state it was in when
+     * recording started, so the video loops. Resolves with a Blob.
+     */
+    function record(settings) {
+      settings = settings || {};
+      var seconds = settings.seconds || 5;
+      var fps = settings.fps || 30;
+      if (!renderer || destroyed || recording) {
+        return Promise.reject(new Error(pluginName + ': already recording, or nothing to record'));
+      }
+      var target = !offscreen && typeof MediaRecorder !== 'undefined' && detachedRenderer(CanvasRenderer, pixelRatio);
+      if (!target || !target.node.captureStream) {
+        if (target) {
+          target.destroy();
+        }
+        return Promise.reject(new Error(pluginName + ': recording needs captureStream() and MediaRecorder'));
+      }
+
+      return new Promise(function(resolve, reject) {
+        // Frames are captured when we ask, not on a clock
+        var stream = target.node.captureStream(0);
+        var track = stream.getVideoTracks()[0];
+        var recorder = new MediaRecorder(stream, { mimeType: settings.mimeType || 'video/webm' });
+        var chunks = [];
+        var frames = Math.max(1, Math.round(seconds * fps));
+        var loopFrames = Math.min(Math.round(fps), Math.floor(frames / 4));
+        // The state the video loops back to. The live field carries on as is
+        var origin = snapshot();
+        var frame = 0;
+        var timer;
+
+        recorder.ondataavailable = function(e) {
+          if (e.data.size) {
+            chunks.push(e.data);
+          }
+        };
+        recorder.onstop = function() {
+          finish();
+          resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+        };
+        recorder.onerror = function(e) {
+          finish();
+          reject(e.error || e);
+        };
+
+        // We step the system ourselves, one frame per capture
+        holds.record = true;
+        cancelFrame(raf);
+        recording = {
+          stop: function() {
+            clearInterval(timer);
+            if (recorder.state !== 'inactive') {
+              recorder.stop();
+            }
+          }
+        };
+        recorder.start();
+        timer = setInterval(tick, 1000 / fps);
+
+        function tick() {
+          // The frame after the last one would be exactly the first
+          var t = loopFrames ? (frame - (frames - loopFrames)) / loopFrames : 0;
+          var saved = t > 0 ? blendTowards(origin, t * t * (3 - 2 * t)) : null;
+          renderer.render(system);
+          target.render(system);
+          if (track.requestFrame) {
+            track.requestFrame();
+          }
+          if (saved) {
+            restore(saved);
+          }
+          update(1 / fps);
+          if (++frame >= frames) {
+            recording.stop();
+          }
+        }
+
+        function finish() {
+          recording = null;
+          target.destroy();
+          if (!destroyed) {
+            // Carry on from where the video ends
+            restore(origin);
+          }
+          delete holds.record;
+          if (!paused && !isHeld()) {
+            run();
+          } else if (!destroyed) {
+            render();
+          }
+        }
+      });
+    }
+
+    /**
+     * Copy of the particles' motion state
+     */
+    function snapshot() {
+      return system.particles.map(function(p) {
+        return {
+          x: p.position.x,
+          y: p.position.y,
+          offsetX: p.parallaxOffsetX,
+          offsetY: p.parallaxOffsetY,
+          angle: p.angle,
+          speedX: p.speed.x,
+          speedY: p.speed.y
+        };
+      });
+    }
+
+    function restore(state) {
+      var particles = system.particles;
+      for (var i = 0; i < particles.length && i < state.length; i++) {
+        var p = particles[i];
+        p.position.x = state[i].x;
+        p.position.y = state[i].y;
+        p.parallaxOffsetX = state[i].offsetX;
+        p.parallaxOffsetY = state[i].offsetY;
+        p.angle = state[i].angle;
+        p.speed.x = state[i].speedX;
+        p.speed.y = state[i].speedY;
+      }
+    }
+
+    /**
+     * Move the particles fraction t of the way to state, the short way round
+     * for those that wrapped around an edge. Returns the state to restore.
+     */
+    function blendTowards(state, t) {
+      var saved = snapshot();
+      var particles = system.particles;
+      for (var i = 0; i < particles.length && i < state.length; i++) {
+        var p = particles[i];
+        var dx = state[i].x - p.position.x;
+        var dy = state[i].y - p.position.y;
+        if (Math.abs(dx) > system.width / 2) {
+          dx -= dx > 0 ? system.width : -system.width;
+        }
+        if (Math.abs(dy) > system.height / 2) {
+          dy -= dy > 0 ? system.height : -system.height;
+        }
+        var da = ((state[i].angle - p.angle) % (Math.PI * 2) + Math.PI * 3) % (Math.PI * 2) - Math.PI;
+        p.position.x += dx * t;
+        p.position.y += dy * t;
+        p.parallaxOffsetX += (state[i].offsetX - p.parallaxOffsetX) * t;
+        p.parallaxOffsetY += (state[i].offsetY - p.parallaxOffsetY) * t;
+        p.angle += da * t;
+      }
+      return saved;
+    }
+
+    function destroy() {
+      if (destroyed) { return; }
+      destroyed = true;
+
+      // Stop the draw loop
+      paused = true;
+      cancelFrame(raf);
+      if (recording) {
+        recording.stop();
+      }
+
+      unbind(listeners);
+      if (resizeObserver) {
+        resizeObserver.disconnect();
+      }
+      if (unwatchMotion) {
+        unwatchMotion();
+      }
+
+      if (system) {
+        system.particles.length = 0;
+        system.grid.length = 0;
+      }
+      if (renderer) {
+        renderer.destroy();
+      }
+      hook('onDestroy');
+      emit('destroy');
+      events.off();
+      if (element[pluginName] && element[pluginName].destroy === destroy) {
+        delete element[pluginName];
+      }
+      if ($) {
+        $(element).removeData('plugin_' + pluginName);
+      }
+    }
+
+    function hook(hookName) {
+      if (options[hookName] !== undefined) {
+        options[hookName].apply(element, Array.prototype.slice.call(arguments, 1));
+      }
+    }
+
+    /**
+     * Whether anyone hears an event, to skip building frame details for no one
+     */
+    function wants(name) {
+      return events.has(name) || (offscreen ? !!forwarded[name] : jQueryHears(element, name));
+    }
+
+    /**
+     * Fire an event on our listeners and as a pg:name jQuery event. In a
+     * worker, forward it to the main thread instead of jQuery.
+     */
+    function emit(name, detail) {
+      events.emit(name, detail);
+      if (offscreen) {
+        if (forwarded[name]) {
+          window.postMessage({ type: 'event', name: name, detail: detail });
+        }
+      } else if ($) {
+        $(element).trigger('pg:' + name, [detail]);
+      }
+    }
+
+    init();
+
+    return {
+      option: option,
+      toggleLayer: toggleLayer,
+      destroy: destroy,
+      start: start,
+      pause: pause,
+      exportFrame: exportFrame,
+      record: record,
+      on: events.on,
+      off: events.off,
+      once: events.once
+    };
+  }
+
+  /**
+   * Worker mode: the canvas is transferred to a worker running this same
+   * script, which owns the particles and the draw loop. We forward input and
+   * API calls to it. Returns null if the worker can't be created, in which
+   * case the caller falls back to rendering on the main thread. If the worker
+   * fails later, e.g. its script doesn't load, we fall back ourselves.
+   */
+  function WorkerPlugin(element, options, tilt) {
+    var worker;
+    try {
+      worker = new Worker(particleground.workerUrl);
+    } catch (e) {
+      return null;
+    }
+
+    var canvas = insertCanvas(element);
+
+    var destroyed = false;
+    var paused = false;
+    var resizeObserver;
+    var events = createEmitter(element);
+    var offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage({
+      type: 'init',
+      canvas: offscreen,
+      options: cloneable(options),
+      width: element.offsetWidth,
+      height: element.offsetHeight,
+      winW: window.innerWidth,
+      winH: window.innerHeight,
+      pixelRatio: window.devicePixelRatio || 1,
+      tilt: tilt
+    }, [offscreen]);
+    sizeCanvas();
+
+    /**
+     * The worker scales the backing store, we keep the element at CSS size
+     */
+    function sizeCanvas() {
+      canvas.style.width = element.offsetWidth + 'px';
+      canvas.style.height = element.offsetHeight + 'px';
+    }
+
+    function resizeHandler() {
+      sizeCanvas();
+      worker.postMessage({
+        type: 'resize',
+        width: element.offsetWidth,
+        height: element.offsetHeight,
+        winW: window.innerWidth,
+        winH: window.innerHeight,
+        pixelRatio: window.devicePixelRatio || 1
+      });
+    }
+
+    function pointerMoveHandler(e) {
+      var pos = pointerPosition(e, canvas);
+      pos.type = 'pointer';
+      worker.postMessage(pos);
+    }
+
+    function pointerLeaveHandler(e) {
+      if (e.type === 'touchend' || !e.relatedTarget) {
+        worker.postMessage({ type: 'pointerleave' });
+      }
+    }
+
+    function clickHandler(e) {
+      var pos = pointerPosition(e, canvas);
+      pos.type = 'click';
+      worker.postMessage(pos);
+    }
+
+    function orientationHandler(e) {
+      // Contrain tilt range to [-30,30]
+      worker.postMessage({
+        type: 'tilt',
+        x: Math.min(Math.max(-e.gamma, -30), 30),
+        y: Math.min(Math.max(-e.beta, -30), 30)
+      });
+    }
+
+    var listeners = [
+      [window, 'resize', resizeHandler, false],
+      [document, 'mousemove', pointerMoveHandler, false],
+      [document, 'mouseout', pointerLeaveHandler, false],
+      [document, 'touchstart', pointerMoveHandler, false],
+      [document, 'touchmove', pointerMoveHandler, false],
+      [document, 'touchend', pointerLeaveHandler, false],
+      [element, 'click', clickHandler, false]
+    ];
+    if (tilt) {
+      listeners.push([window, 'deviceorientation', orientationHandler, true]);
+    }
+    bind(listeners);
+    if (window.ResizeObserver) {
+      resizeObserver = new ResizeObserver(resizeHandler);
+      resizeObserver.observe(element);
+    }
+
+    // The worker can't see the page, so tell it when to suspend itself
+    var motionHandlers = {
+      suspend: function(reason) {
+        worker.postMessage({ type: 'suspend', reason: reason });
+        hook('onAutoPause', reason);
+      },
+      resume: function(reason) {
+        worker.postMessage({ type: 'resume', reason: reason });
+        hook('onAutoResume', reason);
+      },
+      reducedMotion: function(matches) {
+        worker.postMessage({ type: 'reducedMotion', matches: matches });
+        hook('onReducedMotion', matches);
+      }
+    };
+    var unwatchMotion = watchMotion(element, options, motionHandlers);
+
+    function call(method, args) {
+      if (destroyed) { return; }
+      worker.postMessage({ type: 'call', method: method, args: args || [] });
+    }
+
+    /**
+     * Call a method that returns a promise in the worker, and settle ours
+     * with its result
+     */
+    var requests = {};
+    var requestId = 0;
+    function request(method, args) {
+      if (destroyed) {
+        return Promise.reject(new Error(pluginName + ': destroyed'));
+      }
+      var id = ++requestId;
+      worker.postMessage({ type: 'call', method: method, args: args, id: id });
+      return new Promise(function(resolve, reject) {
+        requests[id] = { method: method, args: args, resolve: resolve, reject: reject };
+      });
+    }
+
+    worker.addEventListener('message', function(e) {
+      var data = e.data;
+      if (data.type === 'event') {
+        if (data.name === 'qualityChange') {
+          // Hooks can't be posted to the worker, so we call this one
+          hook('onQualityChange', data.detail.quality);
+        }
+        emit(data.name, data.detail);
+      } else if (data.type === 'result' && requests[data.id]) {
+        if (data.error) {
+          requests[data.id].reject(new Error(data.error));
+        } else {
+          requests[data.id].resolve(data.value);
+        }
+        delete requests[data.id];
+      }
+    });
+    worker.addEventListener('error', fallBack);
+
+    /**
+     * The worker failed to load or threw. Carry on in this thread, with a
+     * fresh canvas since the worker owns ours, and put the in-thread
+     * instance's methods on the object we returned.
+     */
+    function fallBack() {
+      if (destroyed) { return; }
+      teardown();
+      var plugin = new Plugin(element, extend({}, options, { worker: false }), null, events);
+      for (var name in plugin) {
+        api[name] = plugin[name];
+      }
+      if (paused) {
+        plugin.pause();
+      }
+      // Ask again for the results the worker never sent
+      for (var id in requests) {
+        var pending = requests[id];
+        plugin[pending.method].apply(null, pending.args).then(pending.resolve, pending.reject);
+      }
+      requests = {};
+    }
+
+    function pause() {
+      if (destroyed) { return; }
+      paused = true;
+      call('pause');
+      emit('pause');
+    }
+
+    function start() {
+      if (destroyed) { return; }
+      paused = false;
+      call('start');
+      emit('start');
+    }
+
+    /**
+     * The worker only posts frame events once someone listens
+     */
+    function listen(name) {
+      if (name === 'frame' && !destroyed) {
+        worker.postMessage({ type: 'listen', name: name });
+      }
+    }
+
+    function on(name, fn) {
+      listen(name);
+      events.on(name, fn);
+    }
+
+    function once(name, fn) {
+      listen(name);
+      events.once(name, fn);
+    }
+
+    function emit(name, detail) {
+      events.emit(name, detail);
+      if ($) {
+        $(element).trigger('pg:' + name, [detail]);
+      }
+    }
+
+    function exportFrame(settings) {
+      return request('exportFrame', [settings || {}]);
+    }
+
+    function record() {
+      // The canvas on the page only mirrors the worker's, it can't be captured
+      return Promise.reject(new Error(pluginName + ': recording is not available with the worker option'));
+    }
+
+    function option(key, val) {
+      var changes = optionChanges(key, val);
+      if (!changes) {
+        return getOption(options, key);
+      }
+      extend(options, changes);
+      call('option', [cloneable(changes)]);
+      if (hasAny(changes, motionOptions)) {
+        unwatchMotion(true);
+        unwatchMotion = watchMotion(element, options, motionHandlers);
+      }
+      hook('onOptionChange', changes);
+      emit('optionChange', changes);
+    }
+
+    function toggleLayer(name, visible) {
+      option('layers', toggledLayers(options.layers, name, visible));
+    }
+
+    /**
+     * Stop the worker and undo everything we set up on the page
+     */
+    function teardown() {
+      destroyed = true;
+      worker.terminate();
+      frameWatchers.splice(frameWatchers.indexOf(watchFrames), 1);
+      unbind(listeners);
+      if (resizeObserver) {
+        resizeObserver.disconnect();
+      }
+      unwatchMotion();
+      if (canvas.parentNode) {
+        canvas.parentNode.removeChild(canvas);
+      }
+    }
+
+    function destroy() {
+      if (destroyed) { return; }
+      teardown();
+      hook('onDestroy');
+      emit('destroy');
+      events.off();
+      if (element[pluginName] && element[pluginName].destroy === destroy) {
+        delete element[pluginName];
+      }
+      if ($) {
+        $(element).removeData('plugin_' + pluginName);
+      }
+    }
+
+    function hook(hookName) {
+      if (options[hookName] !== undefined) {
+        options[hookName].apply(element, Array.prototype.slice.call(arguments, 1));
+      }
+    }
+
+    hook('onInit');
+    Promise.resolve().then(function() {
+      if (!destroyed) {
+        emit('init');
+      }
+    });
+    // jQuery pg:frame handlers may be bound before or after we start
+    function watchFrames(node) {
+      if (node === element || (node.contains && node.contains(element))) {
+        listen('frame');
+      }
+    }
+    if (jQueryHears(element, 'frame')) {
+      listen('frame');
+    }
+    frameWatchers.push(watchFrames);
+
+    var api = {
+      option: option,
+      toggleLayer: toggleLayer,
+      destroy: destroy,
+      start: start,
+      pause: pause,
+      exportFrame: exportFrame,
+      record: record,
+      on: on,
+      off: events.off,
+      once: once
+    };
+    return api;
+  }
+
+  function particleground(elem, options) {
+    return new Plugin(elem, options);
+  }
+
+  // For bundlers that import this CommonJS build with `import particleground
+  // from` and look for a default export. jquery.particleground.mjs is the
+  // real ES module.
+  particleground.default = particleground;
+  particleground.random = createRandom;
+  particleground.ParticleSystem = ParticleSystem;
+  // The pointer forces of the repulse and attract interaction modes
+  particleground.forces = { repulse: repulse, attract: attract };
+  // Add a constructor here to register another renderer
+  particleground.renderers = renderers;
+  particleground.useJQuery = useJQuery;
+  particleground.defineElement = defineElement;
+  particleground.autoStart = autoStart;
+
+  // The worker mode boots a worker from this same script. Loaded by a script
+  // tag we know where that is, bundles have to set it themselves.
+  particleground.workerUrl = global && document && document.currentScript ? document.currentScript.src : null;
+
+  particleground.defaults = {
+    minSpeedX: 6, // Speeds are in pixels per second
+    maxSpeedX: 42,
+    minSpeedY: 6,
+    maxSpeedY: 42,
+    directionX: 'center', // 'center', 'left' or 'right'
+    directionY: 'center', // 'center', 'up' or 'down'
+    boundary: null, // 'bounce', 'wrap', 'destroy-and-respawn' or 'none'. null = bounce for 'center' directions, wrap otherwise
+    physics: {
+      gravity: { x: 0, y: 0 }, // Acceleration, in pixels per second squared
+      wind: { x: 0, y: 0 }, // A second acceleration, e.g. a steady sideways drift
+      friction: 0, // Fraction of its speed a particle loses every second, from 0 to 1
+      maxSpeed: 0, // Cap on speed, in pixels per second. 0 = no cap
+      collisions: false // Elastic collisions between particles, using their radius
+    },
+    density: 10000, // How many particles will be generated: one particle every n pixels
+    dotColor: '#666666', // A color, or an array of colors to pick from for each particle
+    dotColorOrder: 'random', // 'random' or 'cycle'. How particles pick from a dotColor array
+    particleRadius: 7, // Dot size, or a [min, max] range to pick from for each particle
+    shape: 'circle', // 'circle', 'square', 'triangle', 'polygon', 'star' or 'image'
+    sides: 5, // Sides of a 'polygon', points of a 'star'
+    image: null, // Sprite for the 'image' shape: a URL or a loaded image element
+    rotationSpeed: 0, // Maximum rotation, in radians per second. 0 = no rotation
+    links: {
+      proximity: 100, // How close two dots need to be before they join
+      width: 1,
+      color: '#666666',
+      curved: false,
+      gradient: false, // Draw links as a gradient between the two dot colors
+      fade: false // Fade links out as they approach proximity
+    },
+    parallax: {
+      enabled: true,
+      multiplier: 5, // The lower the number, the more extreme the parallax effect
+      easing: 0.1 // Fraction of the distance to the parallax target covered every 1/60s
+    },
+    // Independent sets of particles drawn back to front, each an object of
+    // the options above to override for it, except shape, sides and image, plus:
+    //   name: to toggle it by, defaults to its index
+    //   visible: false to start hidden
+    //   depth: parallax depth of its particles, e.g. 3 for far away. Defaults to random from 1 to 3
+    // null = a single set of particles
+    layers: null,
+    reducedMotion: {
+      mode: 'slow', // When the user prefers reduced motion: 'slow', 'static' (a single frame) or 'ignore'
+      speed: 0.2 // Speed multiplier for 'slow'
+    },
+    pauseWhenHidden: true, // Pause while the page is in a background tab
+    pauseWhenOffscreen: true, // Pause while the element is scrolled out of view
+    interaction: {
+      mode: 'none', // 'none', 'repulse', 'attract' or 'grab'
+      radius: 100, // How far from the pointer the interaction reaches
+      strength: 300, // Maximum repulse/attract speed, in pixels per second
+      spawn: 0 // How many particles a click or tap adds at the pointer
+    },
+    maxPixelRatio: 2, // Cap on the canvas resolution multiplier for HiDPI screens, which limits drawing cost
+    seed: null, // Seed for reproducible particle fields. Combine with timestep for reproducible motion. null = Math.random()
+    fps: 0, // Cap the frame rate, e.g. 30 to save battery. 0 = the display's rate
+    timestep: 0, // Simulate in fixed steps of this many seconds, e.g. 1 / 60, for deterministic motion. 0 = one step per frame
+    adaptive: {
+      enabled: false, // Trade particles, link reach and parallax for frame time. true/false is short for this
+      budget: 8, // Milliseconds of simulating and drawing per frame to stay within
+      min: 0.25, // Lowest quality, as a fraction of the particles density gives
+      max: 1 // Highest quality. Above 1 adds particles when there's headroom
+    },
+    renderer: 'canvas', // 'canvas', 'webgl' or 'svg'. Falls back to canvas where unsupported
+    worker: false, // Simulate and paint in a Web Worker, where OffscreenCanvas is supported
+    onInit: function() {},
+    onDestroy: function() {},
+    onOptionChange: function(changes) {},
+    onAutoPause: function(reason) {}, // reason: 'hidden', 'offscreen' or 'reducedMotion'
+    onAutoResume: function(reason) {},
+    onReducedMotion: function(reduced) {},
+    onQualityChange: function(quality) {} // Adaptive mode's quality, from adaptive.min to adaptive.max
+  };
+
+  /**
+   * Add $.fn.particleground. Done for us when jQuery is on the page before
+   * the script tag, modules have to ask.
+   */
+  function useJQuery(jQuery) {
+    $ = jQuery;
+    $.event.special['pg:frame'] = {
+      setup: function() {
+        for (var i = 0; i < frameWatchers.length; i++) {
+          frameWatchers[i](this);
+        }
+        // Let jQuery bind the handler as usual
+        return false;
+      }
+    };
+    $.fn[pluginName] = function(options) {
+      if (typeof arguments[0] === 'string') {
+        var methodName = arguments[0];
+        var args = Array.prototype.slice.call(arguments, 1);
+        var returnVal;
+        this.each(function() {
+          if ($.data(this, 'plugin_' + pluginName) && typeof $.data(this, 'plugin_' + pluginName)[methodName] === 'function') {
+            returnVal = $.data(this, 'plugin_' + pluginName)[methodName].apply(this, args);
+          }
+        });
+        if (returnVal !== undefined){
+          return returnVal;
+        } else {
+          return this;
+        }
+      } else if (typeof options === "object" || !options) {
+        return this.each(function() {
+          if (!$.data(this, 'plugin_' + pluginName)) {
+            $.data(this, 'plugin_' + pluginName, new Plugin(this, options));
+          }
+        });
+      }
+    };
+  }
+
+  // nothing wrong with hooking into jQuery if it's there...
+  if (global && window.jQuery) {
+    useJQuery(window.jQuery);
+  }
+
+  /**
+   * Declarative setup: every [data-particleground] element gets an instance,
+   * exposed as element.particleground. Options come from a JSON object in
+   * data-particleground, overridden by data-pg-* attributes, which are
+   * parsed as JSON where they can be, e.g.
+   *
+   *   <div data-particleground='{"density": 20000}' data-pg-dot-color="#fff">
+   *
+   * Elements added later are set up, and removed ones destroyed, as they
+   * come and go.
+   */
+  var autoSelector = '[data-particleground]';
+
+  function dataOptions(element) {
+    var options = parseJSON(element.getAttribute('data-particleground'));
+    if (!isPlainObject(options)) {
+      options = {};
+    }
+    for (var key in element.dataset) {
+      // data-pg-dot-color is dataset.pgDotColor
+      if (/^pg[A-Z]/.test(key)) {
+        options[key.charAt(2).toLowerCase() + key.slice(3)] = attributeValue(element.dataset[key]);
+      }
+    }
+    return options;
+  }
+
+  function parseJSON(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * An option from an attribute: JSON where it parses, so numbers, booleans,
+   * arrays and objects work, otherwise the string. An empty (boolean)
+   * attribute is true.
+   */
+  function attributeValue(text) {
+    if (text === '') { return true; }
+    var value = parseJSON(text);
+    return value === undefined ? text : value;
+  }
+
+  /**
+   * root and its descendants that match the auto-init selector
+   */
+  function autoElements(root) {
+    if (!root.querySelectorAll) { return []; }
+    var elements = Array.prototype.slice.call(root.querySelectorAll(autoSelector));
+    if (root.matches && root.matches(autoSelector)) {
+      elements.unshift(root);
+    }
+    return elements;
+  }
+
+  function autoInit(root) {
+    autoElements(root).forEach(function(element) {
+      if (!element[pluginName]) {
+        element[pluginName] = particleground(element, dataOptions(element));
+      }
+    });
+  }
+
+  function autoDestroy(root) {
+    autoElements(root).forEach(function(element) {
+      // Moved elements are removed and added again, keep them running
+      if (element[pluginName] && !document.documentElement.contains(element)) {
+        element[pluginName].destroy();
+      }
+    });
+  }
+
+  var autoStarted = false;
+
+  /**
+   * Set up the [data-particleground] elements on the page, and watch for
+   * more. Done for us when loaded by a script tag, modules have to ask.
+   */
+  function autoStart() {
+    if (autoStarted || !document) { return; }
+    autoStarted = true;
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', autoObserve, false);
+    } else {
+      autoObserve();
+    }
+  }
+
+  function autoObserve() {
+    autoInit(document);
+    if (window.MutationObserver) {
+      new MutationObserver(function(records) {
+        records.forEach(function(record) {
+          Array.prototype.forEach.call(record.removedNodes, autoDestroy);
+          Array.prototype.forEach.call(record.addedNodes, autoInit);
+        });
+      }).observe(document.documentElement, { childList: true, subtree: true });
+    }
+  }
+
+  // A script tag with data-auto-init="false" opts out, e.g. on a page that
+  // only wants random()
+  if (global && !(document && document.currentScript &&
+      document.currentScript.getAttribute('data-auto-init') === 'false')) {
+    autoStart();
+  }
+
+  /**
+   * <particle-ground> custom element. Every option is an attribute, in
+   * kebab-case (dot-color, density, proximity, ...), parsed like data-pg-*
+   * attributes and applied live. Removing one restores the default. Children
+   * are slotted above the particles, and clicks on them reach the particles
+   * too.
+   *
+   * Defined for us when loaded by a script tag, modules have to ask.
+   */
+  function defineElement(name) {
+    name = name || 'particle-ground';
+    if (!window.customElements || customElements.get(name)) { return; }
+
+    // Options by attribute name, including the flat aliases
+    var attributes = {};
+    Object.keys(particleground.defaults).concat(Object.keys(aliases)).forEach(function(key) {
+      if (typeof particleground.defaults[key] !== 'function') {
+        attributes[key.replace(/[A-Z]/g, function(c) { return '-' + c.toLowerCase(); })] = key;
+      }
+    });
+
+    // Custom elements must be constructed as classes, this is the ES5 way
+    function ParticleGroundElement() {
+      var self = Reflect.construct(HTMLElement, [], ParticleGroundElement);
+      var shadow = self.attachShadow({ mode: 'open' });
+      shadow.innerHTML =
+        '<style>' +
+        ':host { display: block; position: relative; overflow: hidden; }' +
+        '.pg-stage { position: absolute; top: 0; right: 0; bottom: 0; left: 0; }' +
+        'slot { display: block; position: relative; }' +
+        '</style>' +
+        '<div class="pg-stage"></div><slot></slot>';
+      self.stage = shadow.firstChild.nextSibling;
+      // Clicks on the slotted children bubble past the stage, to us. Hand
+      // them on so they spawn particles like clicks on the background do
+      self.addEventListener('click', function(e) {
+        if (e.composedPath().indexOf(self.stage) !== -1) { return; }
+        self.stage.dispatchEvent(new MouseEvent('click', {
+          clientX: e.clientX,
+          clientY: e.clientY,
+          screenX: e.screenX,
+          screenY: e.screenY
+        }));
+      }, false);
+      return self;
+    }
+    ParticleGroundElement.prototype = Object.create(HTMLElement.prototype);
+    ParticleGroundElement.prototype.constructor = ParticleGroundElement;
+    Object.setPrototypeOf(ParticleGroundElement, HTMLElement);
+
+    ParticleGroundElement.observedAttributes = Object.keys(attributes);
+
+    ParticleGroundElement.prototype.connectedCallback = function() {
+      if (this[pluginName]) { return; }
+      var options = {};
+      for (var i = 0; i < this.attributes.length; i++) {
+        var key = attributes[this.attributes[i].name];
+        if (key) {
+          options[key] = attributeValue(this.attributes[i].value);
+        }
+      }
+      this[pluginName] = particleground(this.stage, options);
+    };
+
+    ParticleGroundElement.prototype.disconnectedCallback = function() {
+      if (this[pluginName]) {
+        this[pluginName].destroy();
+        delete this[pluginName];
+      }
+    };
+
+    ParticleGroundElement.prototype.attributeChangedCallback = function(attribute, oldValue, value) {
+      // Before connecting, the attributes are read in connectedCallback
+      if (!this[pluginName] || oldValue === value) { return; }
+      var key = attributes[attribute];
+      this[pluginName].option(key, value === null ? getOption(particleground.defaults, key) : attributeValue(value));
+    };
+
+    customElements.define(name, ParticleGroundElement);
+  }
+
+  if (global) {
+    defineElement();
+  }
+
+  // We are running as a worker spawned by WorkerPlugin
+  if (global && !document && typeof importScripts === 'function') {
+    var instance;
+    window.addEventListener('message', function(e) {
+      var data = e.data;
+      if (data.type === 'init') {
+        instance = new Plugin({ offsetWidth: data.width, offsetHeight: data.height }, data.options, data);
+      } else if (data.type === 'call' && instance) {
+        var result = instance[data.method].apply(null, data.args);
+        if (data.id) {
+          // The caller is waiting for a promise to settle
+          result.then(function(value) {
+            window.postMessage({ type: 'result', id: data.id, value: value });
+          }, function(error) {
+            window.postMessage({ type: 'result', id: data.id, error: error.message });
+          });
+        }
+      }
+    }, false);
+  }
+
+  return particleground;
+})(typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis, false);
+
+export default particleground;
+export const defaults = particleground.defaults;
+export const random = particleground.random;
+export const ParticleSystem = particleground.ParticleSystem;
+export const renderers = particleground.renderers;
+export const forces = particleground.forces;
+export const useJQuery = particleground.useJQuery;
+export const defineElement = particleground.defineElement;
+export const autoStart = particleground.autoStart;
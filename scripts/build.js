@@ -0,0 +1,80 @@
+/**
+ * Build the ES module and minified copies of js/jquery.particleground.js,
+ * which is the source of truth:
+ *
+ *   js/jquery.particleground.mjs      the factory, run once, as an ES module
+ *   js/jquery.particleground.min.js   the UMD source, minified
+ *
+ * Run with npm run build after changing the UMD source.
+ */
+var fs = require('fs');
+var path = require('path');
+var terser = require('terser');
+
+var dir = path.join(__dirname, '..', 'js');
+var source = fs.readFileSync(path.join(dir, 'jquery.particleground.js'), 'utf8');
+
+// Named exports of the module, besides the default
+var named = ['defaults', 'random', 'ParticleSystem', 'renderers', 'forces', 'useJQuery', 'defineElement', 'autoStart'];
+
+/**
+ * The parts of the UMD source: its banner comment, the expression it passes
+ * as root and the factory function
+ */
+function parse(text) {
+  var banner = text.slice(0, text.indexOf('*/') + 2);
+  var factoryStart = text.indexOf('function(window, global) {');
+  var call = text.lastIndexOf('})(', factoryStart);
+  var factoryEnd = text.lastIndexOf('});');
+  if (factoryStart < 0 || call < 0 || factoryEnd < factoryStart) {
+    throw new Error('jquery.particleground.js is no longer shaped like build.js expects');
+  }
+  return {
+    banner: banner,
+    root: text.slice(call + 3, factoryStart).replace(/,\s*$/, ''),
+    factory: text.slice(factoryStart, factoryEnd + 1)
+  };
+}
+
+function esModule(parts) {
+  return parts.banner + '\n\n' +
+    '// ES module build of jquery.particleground.js, generated by scripts/build.js.\n' +
+    '// Edit the source and run npm run build rather than editing this file.\n' +
+    'var particleground = (' + parts.factory + ')(' + parts.root + ', false);\n\n' +
+    'export default particleground;\n' +
+    named.map(function(name) {
+      return 'export const ' + name + ' = particleground.' + name + ';\n';
+    }).join('');
+}
+
+/**
+ * Contents of each built file, by path
+ */
+function outputs() {
+  var parts = parse(source);
+  var files = {};
+  files[path.join(dir, 'jquery.particleground.mjs')] = esModule(parts);
+  return files;
+}
+
+/**
+ * The UMD source minified, keeping its /*! banner
+ */
+function minified() {
+  return terser.minify(source, { format: { comments: /^!/ } }).then(function(result) {
+    return result.code + '\n';
+  });
+}
+
+if (require.main === module) {
+  var files = outputs();
+  for (var file in files) {
+    fs.writeFileSync(file, files[file]);
+  }
+  minified().then(function(code) {
+    fs.writeFileSync(path.join(dir, 'jquery.particleground.min.js'), code);
+  });
+} else {
+  // The tests check the built files are up to date
+  module.exports = { outputs: outputs };
+}
@@ -0,0 +1,61 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var loadInDom = require('./helpers').loadInDom;
+
+var body = '<div id="particles" data-particleground=\'{"density": 20000}\' data-pg-dot-color="#fff"></div>';
+
+/**
+ * Let the MutationObserver run
+ */
+function settle() {
+  return new Promise(function(resolve) { setTimeout(resolve, 0); });
+}
+
+test('a script tag sets up data-particleground elements, now and later', async function() {
+  var dom = loadInDom({ body: body });
+  var document = dom.window.document;
+  await settle();
+  assert.ok(dom.element.particleground);
+  assert.strictEqual(dom.element.particleground.option('density'), 20000);
+  assert.strictEqual(dom.element.particleground.option('dotColor'), '#fff');
+
+  var added = document.createElement('div');
+  added.setAttribute('data-particleground', '');
+  document.body.appendChild(added);
+  await settle();
+  assert.ok(added.particleground);
+
+  added.remove();
+  await settle();
+  assert.strictEqual(added.particleground, undefined);
+  dom.window.close();
+});
+
+test('a script tag with data-auto-init="false" leaves the page alone', async function() {
+  var dom = loadInDom({ body: body, attributes: { 'data-auto-init': 'false' } });
+  await settle();
+  assert.strictEqual(dom.element.particleground, undefined);
+  assert.strictEqual(typeof dom.window.particleground.random, 'function');
+
+  var added = dom.window.document.createElement('div');
+  added.setAttribute('data-particleground', '');
+  dom.window.document.body.appendChild(added);
+  await settle();
+  assert.strictEqual(added.particleground, undefined);
+  dom.window.close();
+});
+
+test('a module only sets up the page once asked to', async function() {
+  var dom = loadInDom({ body: body, module: true });
+  await settle();
+  assert.strictEqual(dom.window.particleground, undefined);
+  assert.strictEqual(dom.element.particleground, undefined);
+
+  dom.exports.autoStart();
+  var instance = dom.element.particleground;
+  assert.ok(instance);
+  // Only once
+  dom.exports.autoStart();
+  assert.strictEqual(dom.element.particleground, instance);
+  dom.window.close();
+});
@@ -0,0 +1,36 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var loadInDom = require('./helpers').loadInDom;
+
+test('mounting and destroying 1,000 times leaks nothing', function() {
+  var dom = loadInDom();
+  var window = dom.window;
+  var before = dom.tracked.listeners.size;
+
+  for (var i = 0; i < 1000; i++) {
+    var instance = window.particleground(dom.element, { interaction: { mode: 'repulse' } });
+    instance.destroy();
+  }
+
+  assert.strictEqual(dom.tracked.listeners.size, before, 'listeners left registered');
+  assert.strictEqual(dom.tracked.observed.size, 0, 'observers left connected');
+  assert.strictEqual(dom.tracked.frames.size, 0, 'animation frames left pending');
+  assert.strictEqual(dom.element.querySelectorAll('canvas').length, 0, 'canvases left behind');
+  window.close();
+});
+
+test('destroy() can be called again, and fires onDestroy once', function() {
+  var dom = loadInDom();
+  var calls = 0;
+  var instance = dom.window.particleground(dom.element, {
+    onDestroy: function() { calls++; }
+  });
+
+  instance.destroy();
+  instance.destroy();
+  instance.start();
+
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(dom.tracked.frames.size, 0);
+  dom.window.close();
+});
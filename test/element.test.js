@@ -0,0 +1,103 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var loadInDom = require('./helpers').loadInDom;
+
+/**
+ * A page with a <particle-ground> element, which the script tag defines
+ */
+function page(markup) {
+  var dom = loadInDom({ body: markup });
+  var element = dom.window.document.querySelector('particle-ground');
+  return { dom: dom, window: dom.window, element: element, instance: element.particleground };
+}
+
+test('attributes set the options, in kebab-case and parsed as JSON', function() {
+  var p = page(
+    '<particle-ground density="20000" dot-color="#fff" particle-radius="[2, 4]"' +
+    ' proximity="50" links=\'{"width": 2}\' pause-when-hidden="false" data-other="1"></particle-ground>'
+  );
+  assert.ok(p.instance);
+  assert.strictEqual(p.instance.option('density'), 20000);
+  assert.strictEqual(p.instance.option('dotColor'), '#fff');
+  assert.deepStrictEqual(Array.from(p.instance.option('particleRadius')), [2, 4]);
+  assert.strictEqual(p.instance.option('pauseWhenHidden'), false);
+  // Flat aliases and groups both work
+  assert.strictEqual(p.instance.option('proximity'), 50);
+  assert.strictEqual(p.instance.option('links').width, 2);
+  // Drawn in the shadow root's stage, not among the children
+  assert.strictEqual(p.element.shadowRoot.querySelectorAll('.pg-stage canvas').length, 1);
+  assert.strictEqual(p.element.querySelectorAll('canvas').length, 0);
+  p.instance.destroy();
+  p.window.close();
+});
+
+test('changing an attribute changes the option, removing it restores the default', function() {
+  var p = page('<particle-ground density="20000"></particle-ground>');
+  var changes = [];
+  p.instance.on('optionChange', function(change) { changes.push(change); });
+
+  p.element.setAttribute('density', '5000');
+  assert.strictEqual(p.instance.option('density'), 5000);
+  p.element.setAttribute('interaction', '{"mode": "repulse"}');
+  assert.strictEqual(p.instance.option('interaction').mode, 'repulse');
+  p.element.setAttribute('reduced-motion', '{"mode": "static"}');
+  assert.strictEqual(p.instance.option('reducedMotion').mode, 'static');
+
+  p.element.removeAttribute('density');
+  assert.strictEqual(p.instance.option('density'), p.window.particleground.defaults.density);
+  assert.deepStrictEqual(changes.map(function(change) { return Object.keys(change)[0]; }), ['density', 'interaction', 'reducedMotion', 'density']);
+
+  // Setting the same value again is no change
+  p.element.setAttribute('dot-color', '#000');
+  p.element.setAttribute('dot-color', '#000');
+  assert.strictEqual(changes.length, 5);
+  p.instance.destroy();
+  p.window.close();
+});
+
+test('removing the element destroys its instance, adding it back makes a new one', function() {
+  var p = page('<particle-ground></particle-ground>');
+  var destroyed = 0;
+  p.instance.on('destroy', function() { destroyed++; });
+
+  p.element.remove();
+  assert.strictEqual(destroyed, 1);
+  assert.strictEqual(p.element.particleground, undefined);
+  assert.strictEqual(p.element.shadowRoot.querySelectorAll('canvas').length, 0);
+
+  p.window.document.body.appendChild(p.element);
+  assert.ok(p.element.particleground);
+  assert.notStrictEqual(p.element.particleground, p.instance);
+  assert.strictEqual(p.element.shadowRoot.querySelectorAll('canvas').length, 1);
+  p.element.remove();
+  p.window.close();
+});
+
+test('clicks on slotted children reach the stage, once', function() {
+  var p = page('<particle-ground density="1e9" interaction=\'{"spawn": 1}\'><p>Hello</p></particle-ground>');
+  var window = p.window;
+  var stage = p.element.shadowRoot.querySelector('.pg-stage');
+  var child = p.element.querySelector('p');
+  var reached = 0;
+  var clicked = [];
+  stage.addEventListener('click', function() { reached++; });
+  p.instance.on('particleClick', function(e) { clicked.push([e.x, e.y]); });
+
+  function click(target) {
+    target.dispatchEvent(new window.MouseEvent('click', { clientX: 120, clientY: 80, bubbles: true, composed: true }));
+  }
+
+  // The first click spawns a particle, which the second one hits
+  click(child);
+  assert.strictEqual(reached, 1);
+  click(child);
+  assert.strictEqual(reached, 2);
+  assert.deepStrictEqual(clicked, [[120, 80]]);
+
+  // Clicks on the stage itself aren't handed on again
+  click(stage);
+  assert.strictEqual(reached, 3);
+  assert.strictEqual(clicked.length, 2);
+  p.instance.destroy();
+  window.close();
+});
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import particleground, { defaults, random, ParticleSystem, forces, autoStart } from '../js/jquery.particleground.mjs';
+
+const require = createRequire(import.meta.url);
+
+test('the ES module has a default export and named ones', function() {
+  assert.strictEqual(typeof particleground, 'function');
+  assert.strictEqual(defaults, particleground.defaults);
+  assert.strictEqual(defaults.density, 10000);
+  assert.strictEqual(random, particleground.random);
+  assert.strictEqual(forces, particleground.forces);
+  assert.strictEqual(autoStart, particleground.autoStart);
+  assert.strictEqual(new ParticleSystem({ seed: 1 }, 400, 300).particles.length, 12);
+});
+
+test('importing the ES module leaves globals alone', function() {
+  assert.strictEqual(globalThis.particleground, undefined);
+  assert.strictEqual(globalThis.requestAnimationFrame, undefined);
+});
+
+test('the built files are up to date with the source', function() {
+  const files = require('../scripts/build.js').outputs();
+  for (const file in files) {
+    assert.ok(fs.readFileSync(file, 'utf8') === files[file], file + ' is stale, run npm run build');
+  }
+});
+
+test('the minified build has the source\'s API and defaults', function() {
+  const source = require('../js/jquery.particleground.js');
+  const min = require('../js/jquery.particleground.min.js');
+  assert.deepStrictEqual(Object.keys(min).sort(), Object.keys(source).sort());
+  assert.deepStrictEqual(JSON.stringify(min.defaults), JSON.stringify(source.defaults));
+  assert.strictEqual(new min.ParticleSystem({ seed: 1 }, 400, 300).particles.length, 12);
+});
@@ -0,0 +1,97 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var loadInDom = require('./helpers').loadInDom;
+
+/**
+ * Count the pg:frame events jQuery triggers
+ */
+function countTriggers(window) {
+  var counts = { frame: 0 };
+  var trigger = window.jQuery.fn.trigger;
+  window.jQuery.fn.trigger = function(type) {
+    if (type === 'pg:frame') { counts.frame++; }
+    return trigger.apply(this, arguments);
+  };
+  return counts;
+}
+
+test('frame events reach on() listeners', function() {
+  var dom = loadInDom();
+  var instance = dom.window.particleground(dom.element);
+  var frames = [];
+  instance.on('frame', function(detail) { frames.push(detail); });
+
+  // start() draws a frame straight away
+  instance.start();
+  assert.strictEqual(frames.length, 1);
+  assert.strictEqual(frames[0].particles, 48);
+  instance.destroy();
+  dom.window.close();
+});
+
+test('pg:frame is only triggered while jQuery handlers are bound', function() {
+  var dom = loadInDom({ jquery: true });
+  var $ = dom.window.jQuery;
+  var counts = countTriggers(dom.window);
+  var instance = dom.window.particleground(dom.element);
+
+  instance.start();
+  assert.strictEqual(counts.frame, 0);
+
+  var heard = 0;
+  function handler(e, detail) {
+    assert.strictEqual(typeof detail.fps, 'number');
+    heard++;
+  }
+  $(dom.element).on('pg:frame', handler);
+  instance.start();
+  assert.strictEqual(heard, 1);
+
+  $(dom.element).off('pg:frame', handler);
+  instance.start();
+  assert.strictEqual(counts.frame, 1);
+
+  // Handlers higher up hear it bubble
+  $(dom.window.document).on('pg:frame', handler);
+  instance.start();
+  assert.strictEqual(heard, 2);
+
+  instance.destroy();
+  dom.window.close();
+});
+
+test('a worker only posts frame events once jQuery handlers are bound', function() {
+  var posted = [];
+  var dom = loadInDom({
+    jquery: true,
+    setup: function(window) {
+      window.Worker = function() {};
+      window.Worker.prototype.postMessage = function(message) { posted.push(message); };
+      window.Worker.prototype.addEventListener = function() {};
+      window.Worker.prototype.terminate = function() {};
+      window.OffscreenCanvas = function() {};
+      window.HTMLCanvasElement.prototype.transferControlToOffscreen = function() { return {}; };
+    }
+  });
+  var $ = dom.window.jQuery;
+  dom.window.particleground.workerUrl = 'particleground.js';
+  function listens() {
+    return posted.filter(function(message) { return message.type === 'listen'; }).length;
+  }
+
+  var instance = dom.window.particleground(dom.element, { worker: true });
+  assert.strictEqual(posted[0].type, 'init');
+  assert.strictEqual(listens(), 0);
+
+  $(dom.element).on('pg:frame', function() {});
+  assert.strictEqual(listens(), 1);
+
+  // Handlers elsewhere on the page don't count
+  var other = dom.window.document.createElement('div');
+  dom.window.document.body.appendChild(other);
+  $(other).on('pg:frame', function() {});
+  assert.strictEqual(listens(), 1);
+
+  instance.destroy();
+  dom.window.close();
+});
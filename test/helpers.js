@@ -0,0 +1,240 @@
+/**
+ * Shared setup for the particleground tests: the plugin loaded into a jsdom
+ * window as if by a script tag, with the browser APIs jsdom lacks stubbed
+ * out so what the plugin leaves behind can be counted.
+ */
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var JSDOM = require('jsdom').JSDOM;
+var createCanvas = require('@napi-rs/canvas').createCanvas;
+
+var source = fs.readFileSync(path.join(__dirname, '..', 'js', 'jquery.particleground.js'), 'utf8');
+var jQuerySource = fs.readFileSync(path.join(__dirname, '..', 'js', 'jquery-1.11.1.min.js'), 'utf8');
+
+/**
+ * A window with particleground loaded by a script tag. Returns { window,
+ * element, tracked, exports }, where tracked counts the listeners, observers
+ * and animation frames still registered. settings are all optional:
+ *
+ *   size: { width, height } of every element
+ *   body: markup for the page, which has a #particles element by default
+ *   attributes: of the script tag
+ *   module: true to load it as a CommonJS module instead, into exports
+ *   jquery: true to load jQuery first
+ *   setup: called with the window before loading, to stub more APIs
+ */
+function loadInDom(settings) {
+  settings = settings || {};
+  var size = settings.size || { width: 800, height: 600 };
+  var dom = new JSDOM('<!doctype html><body>' + (settings.body || '<div id="particles"></div>') + '</body>', {
+    runScripts: 'dangerously',
+    url: 'http://localhost/'
+  });
+  var window = dom.window;
+  var tracked = { listeners: new Set(), observed: new Set(), frames: new Set() };
+
+  // Every listener by target, type, handler and capture, as the DOM keys them
+  var add = window.EventTarget.prototype.addEventListener;
+  var remove = window.EventTarget.prototype.removeEventListener;
+  var ids = new WeakMap();
+  var nextId = 0;
+  function key(target, type, fn, capture) {
+    [target, fn].forEach(function(object) {
+      if (!ids.has(object)) { ids.set(object, ++nextId); }
+    });
+    return [ids.get(target), type, ids.get(fn), !!(capture && (capture === true || capture.capture))].join(':');
+  }
+  window.EventTarget.prototype.addEventListener = function(type, fn, capture) {
+    tracked.listeners.add(key(this, type, fn, capture));
+    return add.apply(this, arguments);
+  };
+  window.EventTarget.prototype.removeEventListener = function(type, fn, capture) {
+    tracked.listeners.delete(key(this, type, fn, capture));
+    return remove.apply(this, arguments);
+  };
+
+  // Frames are only counted, never run, so the loop stays still
+  var frameId = 0;
+  window.requestAnimationFrame = function() {
+    tracked.frames.add(++frameId);
+    return frameId;
+  };
+  window.cancelAnimationFrame = function(id) {
+    tracked.frames.delete(id);
+  };
+
+  function Observer() {
+    var self = this;
+    this.observe = function() { tracked.observed.add(self); };
+    this.disconnect = function() { tracked.observed.delete(self); };
+  }
+  window.ResizeObserver = Observer;
+  window.IntersectionObserver = Observer;
+
+  window.matchMedia = function(query) {
+    var mql = new window.EventTarget();
+    mql.media = query;
+    mql.matches = false;
+    return mql;
+  };
+
+  // A 2D context that accepts any call
+  window.HTMLCanvasElement.prototype.getContext = function() {
+    return new Proxy({}, {
+      get: function(target, name) {
+        return name in target ? target[name] : function() {
+          return { addColorStop: function() {} };
+        };
+      }
+    });
+  };
+
+  Object.defineProperty(window.HTMLElement.prototype, 'offsetWidth', { get: function() { return size.width; } });
+  Object.defineProperty(window.HTMLElement.prototype, 'offsetHeight', { get: function() { return size.height; } });
+
+  if (settings.setup) {
+    settings.setup(window);
+  }
+  if (settings.jquery) {
+    window.eval(jQuerySource);
+  }
+
+  var module = { exports: {} };
+  if (settings.module) {
+    new window.Function('module', source)(module);
+  } else {
+    var script = window.document.createElement('script');
+    var attributes = settings.attributes || {};
+    for (var name in attributes) {
+      script.setAttribute(name, attributes[name]);
+    }
+    script.textContent = source;
+    window.document.head.appendChild(script);
+  }
+
+  return {
+    window: window,
+    element: window.document.getElementById('particles'),
+    tracked: tracked,
+    exports: settings.module ? module.exports : null
+  };
+}
+
+/**
+ * Worker mode for real, for a window: call it from loadInDom's setup. Each
+ * Worker runs the plugin in a Node vm context standing in for the worker
+ * thread, with node-canvas behind OffscreenCanvas. Messages are cloned and
+ * delivered on a later task, as between threads. Returns the workers created,
+ * each with:
+ *
+ *   posted: the messages the page sent it
+ *   frames: animation frames the worker has pending
+ *   frame(): run those frames
+ *   fail(): fire an error event on it, as when its script doesn't load
+ */
+function useWorkers(window) {
+  var workers = [];
+
+  function OffscreenCanvas(width, height) {
+    var canvas = createCanvas(width, height);
+    canvas.convertToBlob = function(settings) {
+      return Promise.resolve(new Blob([canvas.toBuffer(settings.type)], { type: settings.type }));
+    };
+    return canvas;
+  }
+
+  function deliver(listeners, data) {
+    setTimeout(function() {
+      listeners.slice().forEach(function(fn) { fn({ data: data }); });
+    });
+  }
+
+  // The canvas is transferred, everything else is copied
+  function clone(data) {
+    var copy = structuredClone(Object.assign({}, data, { canvas: null }));
+    copy.canvas = data.canvas;
+    return copy;
+  }
+
+  window.OffscreenCanvas = OffscreenCanvas;
+  window.HTMLCanvasElement.prototype.transferControlToOffscreen = function() {
+    return new OffscreenCanvas(this.width, this.height);
+  };
+  window.Worker = function() {
+    var worker = this;
+    var page = { message: [], error: [] };
+    var inside = [];
+    var frameId = 0;
+    this.posted = [];
+    this.frames = new Map();
+    this.terminated = false;
+
+    var scope = vm.createContext({
+      importScripts: function() {},
+      addEventListener: function(type, fn) {
+        if (type === 'message') { inside.push(fn); }
+      },
+      removeEventListener: function(type, fn) {
+        inside = inside.filter(function(listener) { return listener !== fn; });
+      },
+      postMessage: function(data) {
+        if (!worker.terminated) { deliver(page.message, data); }
+      },
+      requestAnimationFrame: function(callback) {
+        worker.frames.set(++frameId, callback);
+        return frameId;
+      },
+      cancelAnimationFrame: function(id) {
+        worker.frames.delete(id);
+      },
+      OffscreenCanvas: OffscreenCanvas,
+      Blob: Blob,
+      performance: performance,
+      setTimeout: setTimeout,
+      clearTimeout: clearTimeout
+    });
+    scope.self = scope;
+    vm.runInContext(source, scope);
+
+    this.postMessage = function(data) {
+      worker.posted.push(data);
+      if (!worker.terminated) { deliver(inside, clone(data)); }
+    };
+    this.addEventListener = function(type, fn) {
+      page[type].push(fn);
+    };
+    this.terminate = function() {
+      worker.terminated = true;
+    };
+    this.frame = function() {
+      var callbacks = Array.from(worker.frames.values());
+      worker.frames.clear();
+      callbacks.forEach(function(callback) { callback(performance.now()); });
+    };
+    this.fail = function() {
+      page.error.forEach(function(fn) { fn(new window.ErrorEvent('error', { message: 'failed to load' })); });
+    };
+    workers.push(this);
+  };
+  return workers;
+}
+
+/**
+ * Wait for the messages in flight, and their replies, to be delivered
+ */
+function flush() {
+  var done = Promise.resolve();
+  for (var i = 0; i < 4; i++) {
+    done = done.then(function() {
+      return new Promise(function(resolve) { setTimeout(resolve); });
+    });
+  }
+  return done;
+}
+
+module.exports = {
+  loadInDom: loadInDom,
+  useWorkers: useWorkers,
+  flush: flush
+};
@@ -0,0 +1,59 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var loadInDom = require('./helpers').loadInDom;
+
+var dom = loadInDom();
+var repulse = dom.window.particleground.forces.repulse;
+var attract = dom.window.particleground.forces.attract;
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, actual + ' is not ' + expected);
+}
+
+// The forces come from the jsdom window, so compare fields, not objects
+function assertNone(force) {
+  assert.strictEqual(force.x, 0);
+  assert.strictEqual(force.y, 0);
+}
+
+test('no force at or beyond the radius', function() {
+  [repulse, attract].forEach(function(force) {
+    assertNone(force(100, 0, 100, 300));
+    assertNone(force(0, -150, 100, 300));
+    assertNone(force(80, 80, 100, 300));
+  });
+});
+
+test('no force on a particle right at the pointer', function() {
+  assertNone(repulse(0, 0, 100, 300));
+  assertNone(attract(0, 0, 100, 300));
+});
+
+test('force falls off linearly with distance', function() {
+  assertClose(repulse(25, 0, 100, 300).x, 225);
+  assertClose(repulse(50, 0, 100, 300).x, 150);
+  assertClose(repulse(75, 0, 100, 300).x, 75);
+  assertClose(attract(50, 0, 100, 60).x, -30);
+  assertClose(attract(75, 0, 100, 60).x, -15);
+});
+
+test('repulse pushes away from the pointer, attract pulls towards it', function() {
+  // (30, 40) is 50px away, so the force is 150px along (0.6, 0.8)
+  var push = repulse(30, 40, 100, 300);
+  assertClose(push.x, 90);
+  assertClose(push.y, 120);
+
+  var pull = attract(-30, 40, 100, 60);
+  assertClose(pull.x, 18);
+  assertClose(pull.y, -24);
+});
+
+test('attract never carries a particle past the pointer', function() {
+  var pull = attract(3, 4, 100, 300);
+  assertClose(pull.x, -3);
+  assertClose(pull.y, -4);
+});
+
+test.after(function() {
+  dom.window.close();
+});
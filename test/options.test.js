@@ -0,0 +1,33 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var loadInDom = require('./helpers').loadInDom;
+
+test('flat 1.x option keys read and write their groups', function() {
+  var dom = loadInDom();
+  var instance = dom.window.particleground(dom.element, { proximity: 50, parallax: false });
+
+  assert.strictEqual(instance.option('proximity'), 50);
+  assert.strictEqual(instance.option('links').proximity, 50);
+  assert.strictEqual(instance.option('parallax'), false);
+
+  instance.option('parallax', true);
+  assert.strictEqual(instance.option('parallax'), true);
+  assert.strictEqual(instance.option('parallaxMultiplier'), 5);
+
+  instance.destroy();
+  dom.window.close();
+});
+
+test('options never write through to the defaults', function() {
+  var dom = loadInDom();
+  var particleground = dom.window.particleground;
+  var instance = particleground(dom.element, { links: { color: '#fff' }, dotColor: ['#f00', '#0f0'] });
+
+  instance.option('links', { width: 3 });
+  assert.strictEqual(particleground.defaults.links.color, '#666666');
+  assert.strictEqual(particleground.defaults.links.width, 1);
+  assert.strictEqual(particleground.defaults.dotColor, '#666666');
+
+  instance.destroy();
+  dom.window.close();
+});
@@ -0,0 +1,99 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var loadInDom = require('./helpers').loadInDom;
+
+/**
+ * Stand-ins for captureStream() and MediaRecorder, which jsdom lacks.
+ * onFrame, if given, is called for every frame captured
+ */
+function stubRecording(window, onFrame) {
+  window.HTMLCanvasElement.prototype.captureStream = function() {
+    return { getVideoTracks: function() { return [{ requestFrame: onFrame || function() {} }]; } };
+  };
+  window.MediaRecorder = function() {
+    this.state = 'inactive';
+  };
+  window.MediaRecorder.prototype.start = function() {
+    this.state = 'recording';
+  };
+  window.MediaRecorder.prototype.stop = function() {
+    this.state = 'inactive';
+    this.ondataavailable({ data: new window.Blob(['webm']) });
+    this.onstop();
+  };
+}
+
+function exportSVG(window, instance) {
+  return instance.exportFrame({ format: 'svg' }).then(function(blob) {
+    return new Promise(function(resolve) {
+      var reader = new window.FileReader();
+      reader.onload = function() { resolve(reader.result); };
+      reader.readAsText(blob);
+    });
+  });
+}
+
+/**
+ * Record half a second and check the clip starts and ends on the field as it
+ * was, spawned particles included
+ */
+async function assertLoops(seed) {
+  var dom = loadInDom();
+  var window = dom.window;
+  stubRecording(window);
+  var instance = window.particleground(dom.element, {
+    seed: seed,
+    directionX: 'right',
+    interaction: { spawn: 5 }
+  });
+  instance.pause();
+
+  // Particles the seed alone wouldn't give
+  dom.element.dispatchEvent(new window.MouseEvent('click', { clientX: 100, clientY: 80, bubbles: true }));
+  var before = await exportSVG(window, instance);
+
+  var recording = instance.record({ seconds: 0.5, fps: 20 });
+  assert.strictEqual(await exportSVG(window, instance), before, 'the field jumped when recording started');
+
+  var video = await recording;
+  assert.strictEqual(video.type, 'video/webm');
+  assert.strictEqual(await exportSVG(window, instance), before, 'the video does not end where it started');
+
+  instance.destroy();
+  window.close();
+}
+
+test('recording with a seed loops back to the live field, not a regenerated one', function() {
+  return assertLoops(7);
+});
+
+test('recording without a seed loops too', function() {
+  return assertLoops(null);
+});
+
+test('the last frames of a recording ease back to the first', async function() {
+  var dom = loadInDom();
+  var window = dom.window;
+  var frames = [];
+  // Where every dot of the on-screen SVG is drawn
+  stubRecording(window, function() {
+    frames.push(Array.prototype.map.call(dom.element.querySelectorAll('circle'), function(dot) {
+      return [Number(dot.getAttribute('cx')), Number(dot.getAttribute('cy'))];
+    }));
+  });
+  var instance = window.particleground(dom.element, { renderer: 'svg', parallax: false });
+  instance.pause();
+
+  await instance.record({ seconds: 2, fps: 20 });
+  assert.strictEqual(frames.length, 40);
+  var first = frames[0];
+  var last = frames[frames.length - 1];
+  assert.ok(first.length > 0);
+  first.forEach(function(position, i) {
+    var distance = Math.hypot(last[i][0] - position[0], last[i][1] - position[1]);
+    assert.ok(distance < 3, 'dot ' + i + ' ends ' + distance + 'px from where it started');
+  });
+
+  instance.destroy();
+  window.close();
+});
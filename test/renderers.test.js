@@ -0,0 +1,202 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var particleground = require('../js/jquery.particleground.js');
+var loadInDom = require('./helpers').loadInDom;
+
+var ParticleSystem = particleground.ParticleSystem;
+
+/**
+ * A WebGL context that records the calls made on it. Constants are their
+ * own names, attribute locations are numbered by name. instancing: false
+ * leaves out ANGLE_instanced_arrays.
+ */
+function fakeGL(settings) {
+  settings = settings || {};
+  var calls = [];
+  var locations = {};
+  var ext = {
+    vertexAttribDivisorANGLE: record('vertexAttribDivisorANGLE'),
+    drawArraysInstancedANGLE: record('drawArraysInstancedANGLE')
+  };
+  var overrides = {
+    getExtension: function(name) {
+      return name === 'ANGLE_instanced_arrays' && settings.instancing !== false ? ext : null;
+    },
+    getShaderParameter: function() { return true; },
+    getProgramParameter: function() { return true; },
+    getAttribLocation: function(program, name) {
+      if (!locations.hasOwnProperty(name)) {
+        locations[name] = Object.keys(locations).length;
+      }
+      return locations[name];
+    }
+  };
+  function record(name) {
+    return function() {
+      calls.push({ name: name, args: Array.prototype.slice.call(arguments) });
+      return {};
+    };
+  }
+  var gl = new Proxy({}, {
+    get: function(target, name) {
+      if (typeof name !== 'string') { return undefined; }
+      if (overrides[name]) { return overrides[name]; }
+      return /^[A-Z_]+$/.test(name) ? name : record(name);
+    }
+  });
+  return { gl: gl, calls: calls, locations: locations };
+}
+
+/**
+ * A WebGL renderer drawing system into a fake context
+ */
+function webgl(system, settings) {
+  var fake = fakeGL(settings);
+  var canvas = { getContext: function() { return fake.gl; } };
+  var renderer = new particleground.renderers.webgl(null, system.options, { canvas: canvas });
+  fake.ok = renderer.init();
+  if (fake.ok) {
+    renderer.resize(system.width, system.height, 1);
+  }
+  fake.renderer = renderer;
+  fake.named = function(name) {
+    return fake.calls.filter(function(call) { return call.name === name; });
+  };
+  return fake;
+}
+
+test('webgl draws every particle of a layer in one instanced call', function() {
+  var system = new ParticleSystem({ seed: 1, shape: 'star', sides: 5, rotationSpeed: 1 }, 400, 300);
+  var fake = webgl(system);
+  assert.ok(fake.ok);
+  fake.calls.length = 0;
+  fake.renderer.render(system);
+
+  var draws = fake.named('drawArraysInstancedANGLE');
+  assert.strictEqual(draws.length, 1);
+  // A five pointed star is ten triangles
+  assert.deepStrictEqual(draws[0].args, ['TRIANGLES', 0, 30, system.particles.length]);
+
+  // x, y, radius, angle, r, g, b, a for each particle
+  var instances = fake.named('bufferData').filter(function(call) { return call.args[1].length % 8 === 0; }).pop().args[1];
+  system.particles.forEach(function(p, i) {
+    assert.strictEqual(instances[i * 8], Math.fround(p.position.x + p.parallaxOffsetX));
+    assert.strictEqual(instances[i * 8 + 2], Math.fround(p.radius));
+    assert.strictEqual(instances[i * 8 + 3], Math.fround(p.angle));
+  });
+
+  // Divisors are set for the draw and put back for the lines
+  var divisors = {};
+  fake.named('vertexAttribDivisorANGLE').forEach(function(call) {
+    divisors[call.args[0]] = call.args[1];
+  });
+  assert.ok(Object.keys(divisors).length > 0);
+  Object.keys(divisors).forEach(function(location) {
+    assert.strictEqual(divisors[location], 0);
+  });
+});
+
+test('webgl meshes follow the canvas shapes', function() {
+  var sizes = { circle: 96, square: 12, triangle: 9, polygon: 18, star: 30, image: 6 };
+  Object.keys(sizes).forEach(function(shape) {
+    var system = new ParticleSystem({ seed: 1, shape: shape, sides: 6 }, 400, 300);
+    if (shape === 'star') {
+      system.options.sides = 5;
+    }
+    var fake = webgl(system);
+    assert.strictEqual(fake.renderer.meshSize, sizes[shape], shape);
+  });
+
+  // The square's corners are at the radius along each axis, like the canvas one
+  var square = webgl(new ParticleSystem({ seed: 1, shape: 'square' }, 400, 300));
+  var mesh = square.named('bufferData').filter(function(call) { return call.args[2] === 'STATIC_DRAW'; }).pop().args[1];
+  for (var i = 0; i < mesh.length; i++) {
+    assert.ok([-1, 0, 1].some(function(value) { return Math.abs(mesh[i] - value) < 1e-6; }), mesh[i] + ' is not a corner or the centre');
+  }
+});
+
+test('webgl rebuilds the mesh when the shape changes', function() {
+  var system = new ParticleSystem({ seed: 1 }, 400, 300);
+  var fake = webgl(system);
+  system.options.shape = 'triangle';
+  fake.renderer.apply({ shape: 'triangle' });
+  assert.strictEqual(fake.renderer.meshSize, 9);
+});
+
+test('webgl without instancing falls back to canvas', function() {
+  var contexts = [];
+  var dom = loadInDom({
+    setup: function(window) {
+      window.WebGLRenderingContext = function() {};
+      var getContext = window.HTMLCanvasElement.prototype.getContext;
+      window.HTMLCanvasElement.prototype.getContext = function(type) {
+        contexts.push(type);
+        return type === 'webgl' ? fakeGL({ instancing: false }).gl : getContext.apply(this, arguments);
+      };
+    }
+  });
+  var instance = dom.window.particleground(dom.element, { renderer: 'webgl' });
+  assert.deepStrictEqual(contexts.slice(0, 2), ['webgl', '2d']);
+  assert.strictEqual(dom.element.querySelectorAll('canvas').length, 1);
+  instance.destroy();
+  dom.window.close();
+});
+
+/**
+ * An SVG renderer drawing a system in a jsdom page
+ */
+function svg(options) {
+  var dom = loadInDom();
+  var pg = dom.window.particleground;
+  var system = new pg.ParticleSystem(Object.assign({ seed: 1, parallax: false }, options), 400, 300);
+  var renderer = new pg.renderers.svg(dom.element, system.options, null);
+  assert.ok(renderer.init());
+  renderer.resize(400, 300, 1);
+  renderer.render(system);
+  return { dom: dom, system: system, renderer: renderer, node: renderer.node };
+}
+
+test('svg draws a circle per particle and a line per link', function() {
+  var s = svg();
+  var circles = s.node.querySelectorAll('circle');
+  assert.strictEqual(circles.length, s.system.particles.length);
+  s.system.particles.forEach(function(p, i) {
+    assert.strictEqual(Number(circles[i].getAttribute('cx')), p.position.x);
+    assert.strictEqual(Number(circles[i].getAttribute('cy')), p.position.y);
+    assert.strictEqual(Number(circles[i].getAttribute('r')), p.radius);
+    assert.strictEqual(circles[i].getAttribute('fill'), p.color);
+  });
+  assert.strictEqual(s.node.querySelectorAll('line').length, s.system.links().length);
+  assert.strictEqual(s.node.getAttribute('viewBox'), '0 0 400 300');
+  s.dom.window.close();
+});
+
+test('svg draws other shapes as paths, and reuses its nodes', function() {
+  var s = svg({ shape: 'square' });
+  var paths = s.node.querySelectorAll('g > g > path');
+  assert.strictEqual(paths.length, s.system.particles.length);
+  // A square: one move, three lines and a close
+  assert.match(paths[0].getAttribute('d'), /^M[^ML]+( [^ML]+)?(L[^LZ]+){3}Z$/);
+
+  s.system.step(0.1);
+  s.renderer.render(s.system);
+  assert.strictEqual(s.node.querySelectorAll('g > g > path')[0], paths[0]);
+
+  s.system.options.shape = 'circle';
+  s.renderer.apply({ shape: 'circle' });
+  s.renderer.render(s.system);
+  assert.strictEqual(s.node.querySelectorAll('path').length, 0);
+  assert.strictEqual(s.node.querySelectorAll('circle').length, s.system.particles.length);
+  s.dom.window.close();
+});
+
+test('svg draws images as rotated <image> elements', function() {
+  var s = svg({ shape: 'image', image: 'dot.png', rotationSpeed: 1 });
+  var images = s.node.querySelectorAll('image');
+  assert.strictEqual(images.length, s.system.particles.length);
+  var p = s.system.particles[0];
+  assert.strictEqual(images[0].getAttribute('href'), 'dot.png');
+  assert.strictEqual(Number(images[0].getAttribute('width')), p.radius * 2);
+  assert.match(images[0].getAttribute('transform'), /^rotate\(/);
+  s.dom.window.close();
+});
@@ -0,0 +1,83 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+// The valentine page's route math, loaded as its script tag would
+var context = vm.createContext({ window: {} });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'valentine', 'route.js'), 'utf8'), context);
+var route = context.window.ROUTE_MATH;
+
+var SF = { lat: 37.7749, lng: -122.4194 };
+var CAMBRIDGE = { lat: 42.3601, lng: -71.0589 };
+var QUARTER = Math.PI / 2 * 3958.8;
+
+function assertClose(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) < (tolerance || 1e-6), actual + ' is not ' + expected);
+}
+
+test('greatCircleMiles follows the Earth\'s surface', function() {
+  assert.strictEqual(route.greatCircleMiles(SF, SF), 0);
+  assertClose(route.greatCircleMiles({ lat: 0, lng: 0 }, { lat: 0, lng: 90 }), QUARTER);
+  assertClose(route.greatCircleMiles({ lat: 0, lng: 0 }, { lat: 90, lng: 0 }), QUARTER);
+  // Across the antimeridian, the short way round
+  assertClose(route.greatCircleMiles({ lat: 0, lng: 179 }, { lat: 0, lng: -179 }), QUARTER / 45);
+
+  var miles = route.greatCircleMiles(SF, CAMBRIDGE);
+  assertClose(miles, 2700, 10);
+  assert.strictEqual(route.greatCircleMiles(CAMBRIDGE, SF), miles);
+});
+
+test('routeMiles adds up every leg', function() {
+  var stops = [SF, { lat: 41.8781, lng: -87.6298 }, CAMBRIDGE];
+  assert.strictEqual(route.routeLegs({ waypoints: stops }).length, 2);
+  assertClose(route.routeMiles({ waypoints: stops }),
+    route.greatCircleMiles(stops[0], stops[1]) + route.greatCircleMiles(stops[1], stops[2]));
+  assertClose(route.routeMiles({ waypoints: [SF, CAMBRIDGE] }), route.greatCircleMiles(SF, CAMBRIDGE));
+  // There and back
+  assertClose(route.routeMiles({ waypoints: [SF, CAMBRIDGE, SF] }), 2 * route.greatCircleMiles(SF, CAMBRIDGE));
+});
+
+test('routeView looks at the middle of the waypoints', function() {
+  var view = route.routeView({ waypoints: [{ lat: 0, lng: 10 }, { lat: 0, lng: 30 }] });
+  assertClose(view.lat, 0);
+  assertClose(view.lng, 20);
+  assert.strictEqual(view.altitude, 2.2);
+
+  // Across the antimeridian, not the far side of the globe
+  view = route.routeView({ waypoints: [{ lat: 10, lng: 170 }, { lat: 10, lng: -170 }] });
+  assertClose(Math.abs(view.lng), 180);
+  assertClose(view.lat, 10, 0.5);
+
+  // Opposite points have no middle
+  view = route.routeView({ waypoints: [{ lat: 0, lng: 0 }, { lat: 0, lng: 180 }] });
+  assert.strictEqual(view.lat, 0);
+  assert.strictEqual(view.lng, 0);
+
+  // A view of its own wins
+  view = route.routeView({ waypoints: [SF, CAMBRIDGE], view: { lat: 1, lng: 2 } });
+  assert.deepStrictEqual([view.lat, view.lng, view.altitude], [1, 2, 2.2]);
+});
+
+test('isValidRoute needs two waypoints with coordinates, and string colors', function() {
+  assert.ok(route.isValidRoute({ waypoints: [SF, CAMBRIDGE] }));
+  assert.ok(route.isValidRoute({ waypoints: [SF, Object.assign({ color: '#fff' }, CAMBRIDGE)] }));
+  assert.ok(!route.isValidRoute(null));
+  assert.ok(!route.isValidRoute({ waypoints: [SF] }));
+  assert.ok(!route.isValidRoute({ waypoints: [SF, { lat: '42', lng: -71 }] }));
+  assert.ok(!route.isValidRoute({ waypoints: [SF, null] }));
+  assert.ok(!route.isValidRoute({ waypoints: [SF, Object.assign({ color: 3 }, CAMBRIDGE)] }));
+});
+
+test('withDefaults gives every waypoint a color, keeping the ones set', function() {
+  var loaded = { waypoints: [SF, Object.assign({ color: '#fff' }, CAMBRIDGE), SF], view: { lat: 1, lng: 2 } };
+  var filled = route.withDefaults(loaded);
+  assert.strictEqual(typeof filled.waypoints[0].color, 'string');
+  assert.strictEqual(filled.waypoints[1].color, '#fff');
+  assert.notStrictEqual(filled.waypoints[2].color, filled.waypoints[0].color);
+  assert.strictEqual(filled.waypoints[0].lat, SF.lat);
+  assert.strictEqual(filled.view, loaded.view);
+  // The loaded route is left alone
+  assert.strictEqual(loaded.waypoints[0].color, undefined);
+});
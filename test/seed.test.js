@@ -0,0 +1,121 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var napi = require('@napi-rs/canvas');
+var loadInDom = require('./helpers').loadInDom;
+
+var WIDTH = 320;
+var HEIGHT = 240;
+
+// Rendered by renderFrames(options). Run with UPDATE_SNAPSHOTS=1 to rewrite it
+// after a change that is meant to alter seeded fields
+var SNAPSHOT = path.join(__dirname, 'snapshots', 'seed.png');
+
+var options = {
+  seed: 'snapshot',
+  density: 2000,
+  dotColor: ['#5cbdaa', '#e8828a', '#a78bfa'],
+  particleRadius: [3, 9],
+  rotationSpeed: 1,
+  shape: 'star',
+  parallax: false,
+  timestep: 1 / 60
+};
+
+/**
+ * Mount a plugin with canvases backed by node-canvas, simulate a second at
+ * 60 Hz and return the last frame as a PNG
+ */
+function renderFrames(settings) {
+  var dom = loadInDom({ size: { width: WIDTH, height: HEIGHT } });
+  var window = dom.window;
+
+  // Give every canvas element a real canvas to draw on
+  var backing = new WeakMap();
+  function canvasOf(element) {
+    if (!backing.has(element)) { backing.set(element, napi.createCanvas(300, 150)); }
+    return backing.get(element);
+  }
+  ['width', 'height'].forEach(function(name) {
+    Object.defineProperty(window.HTMLCanvasElement.prototype, name, {
+      configurable: true,
+      get: function() { return canvasOf(this)[name]; },
+      set: function(value) { canvasOf(this)[name] = value; }
+    });
+  });
+  window.HTMLCanvasElement.prototype.getContext = function(type) {
+    return canvasOf(this).getContext(type);
+  };
+
+  // Run the loop by hand, one frame every 1/60s. jsdom pages count as
+  // hidden, which would hold it after the first
+  Object.defineProperty(window.document, 'hidden', { value: false });
+  var clock = 0;
+  var pending = null;
+  Object.defineProperty(window.performance, 'now', { value: function() { return clock; } });
+  window.requestAnimationFrame = function(callback) {
+    pending = callback;
+    return 1;
+  };
+  window.cancelAnimationFrame = function() {
+    pending = null;
+  };
+
+  window.particleground(dom.element, settings);
+  for (var i = 0; i < 60 && pending; i++) {
+    var frame = pending;
+    pending = null;
+    clock += 1000 / 60;
+    frame(clock);
+  }
+
+  assert.strictEqual(i, 60, 'the loop stopped after ' + i + ' frames');
+  var png = canvasOf(dom.element.querySelector('canvas')).toBuffer('image/png');
+  window.close();
+  return png;
+}
+
+/**
+ * Decoded RGBA of a PNG, so the comparison doesn't depend on the encoder
+ */
+async function pixels(png) {
+  var image = await napi.loadImage(png);
+  var canvas = napi.createCanvas(image.width, image.height);
+  var ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  return Buffer.from(ctx.getImageData(0, 0, image.width, image.height).data.buffer);
+}
+
+test('the same seed and size produce the same frames', function() {
+  var a = renderFrames(options);
+  var b = renderFrames(options);
+  assert.ok(a.equals(b), 'frames differ');
+
+  var c = renderFrames(Object.assign({}, options, { seed: 'other' }));
+  assert.ok(!a.equals(c), 'a different seed drew the same frame');
+});
+
+test('a seeded field matches the stored snapshot', async function() {
+  var frame = renderFrames(options);
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.mkdirSync(path.dirname(SNAPSHOT), { recursive: true });
+    fs.writeFileSync(SNAPSHOT, frame);
+  }
+  var expected = await pixels(fs.readFileSync(SNAPSHOT));
+  var actual = await pixels(frame);
+  assert.ok(actual.some(Boolean), 'the frame is blank');
+  assert.ok(actual.equals(expected), 'frame differs from ' + path.relative(process.cwd(), SNAPSHOT));
+});
+
+test('random(seed) repeats its sequence', function() {
+  var dom = loadInDom();
+  var a = dom.window.particleground.random(42);
+  var b = dom.window.particleground.random(42);
+  for (var i = 0; i < 100; i++) {
+    var value = a();
+    assert.strictEqual(value, b());
+    assert.ok(value >= 0 && value < 1);
+  }
+  dom.window.close();
+});
@@ -0,0 +1,314 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var particleground = require('../js/jquery.particleground.js');
+
+var ParticleSystem = particleground.ParticleSystem;
+
+/**
+ * A system holding one still particle at (x, y)
+ */
+function single(options, x, y) {
+  var system = new ParticleSystem(Object.assign({
+    seed: 1,
+    density: 1e9,
+    parallax: false,
+    minSpeedX: 0,
+    maxSpeedX: 0,
+    minSpeedY: 0,
+    maxSpeedY: 0
+  }, options), 400, 300);
+  system.spawn(x, y, 1);
+  return { system: system, particle: system.particles[0] };
+}
+
+test('runs headless, with no DOM', function() {
+  var system = new ParticleSystem({ seed: 1 }, 400, 300);
+  assert.strictEqual(system.particles.length, 12);
+  system.step(1 / 60);
+  system.particles.forEach(function(p) {
+    assert.ok(Number.isFinite(p.position.x) && Number.isFinite(p.position.y));
+  });
+});
+
+test('the default directionY sets speed.y, not speed.x', function() {
+  var system = new ParticleSystem({
+    seed: 1,
+    minSpeedX: 0,
+    maxSpeedX: 0,
+    minSpeedY: 10,
+    maxSpeedY: 20
+  }, 400, 300);
+  assert.ok(system.particles.length > 0);
+  system.particles.forEach(function(p) {
+    assert.strictEqual(Math.abs(p.speed.x), 0);
+    assert.ok(Math.abs(p.speed.y) >= 10 && Math.abs(p.speed.y) <= 20, 'speed.y is ' + p.speed.y);
+  });
+});
+
+test('up and down directions set the sign of speed.y', function() {
+  var up = new ParticleSystem({ seed: 1, directionY: 'up' }, 400, 300);
+  var down = new ParticleSystem({ seed: 1, directionY: 'down' }, 400, 300);
+  up.particles.forEach(function(p) { assert.ok(p.speed.y < 0); });
+  down.particles.forEach(function(p) { assert.ok(p.speed.y > 0); });
+});
+
+test('center directions bounce a particle off the edge', function() {
+  var s = single({}, 398, 150);
+  s.particle.speed.x = 60;
+
+  s.system.step(0.1);
+  assert.strictEqual(s.particle.speed.x, -60);
+  assert.strictEqual(s.particle.position.x, 392);
+
+  var top = single({}, 200, 2);
+  top.particle.speed.y = -60;
+  top.system.step(0.1);
+  assert.strictEqual(top.particle.speed.y, 60);
+  assert.strictEqual(top.particle.position.y, 8);
+});
+
+test('other directions carry a particle over to the opposite edge', function() {
+  var s = single({ directionX: 'left' }, 2, 150);
+  s.particle.speed.x = -60;
+
+  s.system.step(0.1);
+  assert.strictEqual(s.particle.speed.x, -60);
+  assert.strictEqual(s.particle.position.x, 394);
+
+  var bottom = single({ directionY: 'down' }, 200, 298);
+  bottom.particle.speed.y = 60;
+  bottom.system.step(0.1);
+  assert.strictEqual(bottom.particle.position.y, 6);
+});
+
+test('links() pairs the particles within links.proximity', function() {
+  var s = single({ links: { proximity: 60 } }, 100, 100);
+  s.system.spawn(130, 140, 1);
+  s.system.spawn(300, 100, 1);
+
+  var links = s.system.links();
+  assert.strictEqual(links.length, 1);
+  assert.deepStrictEqual(links[0].slice(0, 2), s.system.particles.slice(0, 2));
+  assert.strictEqual(links[0][2], 50);
+});
+
+test('the same seed and size produce the same particles', function() {
+  function state(system) {
+    return system.particles.map(function(p) {
+      return [p.position.x, p.position.y, p.speed.x, p.speed.y, p.color, p.radius, p.angle, p.layer];
+    });
+  }
+  var options = { seed: 'snapshot', density: 2000, dotColor: ['#5cbdaa', '#e8828a'], particleRadius: [3, 9] };
+  var a = new ParticleSystem(options, 400, 300);
+  var b = new ParticleSystem(options, 400, 300);
+  assert.ok(a.particles.length > 0);
+  assert.deepStrictEqual(state(a), state(b));
+
+  var c = new ParticleSystem(Object.assign({}, options, { seed: 'other' }), 400, 300);
+  assert.notDeepStrictEqual(state(a), state(c));
+});
+
+test('repulse pushes a particle near the pointer', function() {
+  var s = single({ interaction: { mode: 'repulse', radius: 100, strength: 300 } }, 250, 200);
+  s.system.pointer = { x: 200, y: 200, active: true };
+
+  s.system.step(0.1);
+  // 50px away: 150px/s for 0.1s
+  assert.ok(Math.abs(s.particle.position.x - 265) < 1e-9, 'x is ' + s.particle.position.x);
+  assert.strictEqual(s.particle.position.y, 200);
+});
+
+test('the pointer force slows down with the time scale', function() {
+  var s = single({ interaction: { mode: 'repulse', radius: 100, strength: 300 } }, 250, 200);
+  s.system.pointer = { x: 200, y: 200, active: true };
+  s.system.timeScale = 0.5;
+
+  s.system.step(0.1);
+  assert.ok(Math.abs(s.particle.position.x - 257.5) < 1e-9, 'x is ' + s.particle.position.x);
+});
+
+test('spawned particles survive resizes and quality changes', function() {
+  var system = new ParticleSystem({ seed: 1 }, 400, 300);
+  system.spawn(100, 100, 3);
+  var spawned = system.particles.filter(function(p) { return p.spawned; });
+  assert.strictEqual(spawned.length, 3);
+
+  function check(computed) {
+    assert.strictEqual(system.particles.length, computed + 3);
+    spawned.forEach(function(p) { assert.ok(system.particles.indexOf(p) >= 0); });
+  }
+  system.setQuality(0.5);
+  check(6);
+  system.resize(800, 600);
+  check(24);
+  system.setQuality(1);
+  check(48);
+  system.options.density = 20000;
+  system.apply({ density: 20000 });
+  check(24);
+});
+
+test('gravity accelerates a particle', function() {
+  var s = single({ physics: { gravity: { x: 0, y: 100 } } }, 200, 100);
+
+  s.system.step(0.1);
+  assert.strictEqual(s.particle.speed.y, 10);
+  assert.strictEqual(s.particle.position.y, 101);
+  s.system.step(0.1);
+  assert.strictEqual(s.particle.speed.y, 20);
+  assert.strictEqual(s.particle.position.y, 103);
+});
+
+test('friction takes a fraction of the speed every second', function() {
+  var s = single({ physics: { friction: 0.5 } }, 100, 150);
+  s.particle.speed.x = 60;
+
+  s.system.step(1);
+  assert.strictEqual(s.particle.speed.x, 30);
+  assert.strictEqual(s.particle.position.x, 130);
+  s.system.step(0.5);
+  assert.ok(Math.abs(s.particle.speed.x - 30 * Math.SQRT1_2) < 1e-9, 'speed.x is ' + s.particle.speed.x);
+});
+
+test('maxSpeed caps the speed, keeping its direction', function() {
+  var s = single({ physics: { maxSpeed: 100 } }, 200, 150);
+  s.particle.speed.x = 300;
+  s.particle.speed.y = -400;
+
+  s.system.step(0.1);
+  assert.ok(Math.abs(s.particle.speed.x - 60) < 1e-9, 'speed.x is ' + s.particle.speed.x);
+  assert.ok(Math.abs(s.particle.speed.y + 80) < 1e-9, 'speed.y is ' + s.particle.speed.y);
+});
+
+test('colliding particles of the same size swap speeds and separate', function() {
+  var s = single({ physics: { collisions: true } }, 100, 150);
+  s.system.spawn(104, 150, 1);
+  var a = s.system.particles[0];
+  var b = s.system.particles[1];
+  a.speed.x = 60;
+  b.speed.x = -60;
+
+  s.system.step(0.01);
+  assert.ok(Math.abs(a.speed.x + 60) < 1e-9, 'a.speed.x is ' + a.speed.x);
+  assert.ok(Math.abs(b.speed.x - 60) < 1e-9, 'b.speed.x is ' + b.speed.x);
+  assert.ok(Math.abs(b.position.x - a.position.x - (a.radius + b.radius)) < 1e-9, 'still overlapping');
+
+  // Moving apart, they're left alone
+  s.system.step(0.01);
+  assert.ok(Math.abs(a.speed.x + 60) < 1e-9);
+  assert.ok(Math.abs(b.speed.x - 60) < 1e-9);
+});
+
+test('destroy-and-respawn brings a particle back in at the opposite edge', function() {
+  var s = single({ boundary: 'destroy-and-respawn', minSpeedX: 10, maxSpeedX: 20, minSpeedY: 10, maxSpeedY: 20 }, 398, 150);
+  s.particle.speed.x = 60;
+  s.particle.speed.y = 0;
+
+  s.system.step(0.1);
+  assert.strictEqual(s.particle.position.x, 0);
+  assert.ok(s.particle.speed.x > 0, 'speed.x is ' + s.particle.speed.x);
+  assert.ok(s.particle.position.y >= 0 && s.particle.position.y <= 300);
+
+  var bottom = single({ boundary: 'destroy-and-respawn', minSpeedY: 10, maxSpeedY: 20 }, 200, 298);
+  bottom.particle.speed.y = 60;
+  bottom.system.step(0.1);
+  assert.strictEqual(bottom.particle.position.y, 0);
+  assert.ok(bottom.particle.speed.y > 0, 'speed.y is ' + bottom.particle.speed.y);
+});
+
+test('destroy-and-respawn checks both axes at a corner', function() {
+  var s = single({ boundary: 'destroy-and-respawn', minSpeedX: 10, maxSpeedX: 20, minSpeedY: 10, maxSpeedY: 20 }, 398, 298);
+  var seen = [];
+  var edge = s.particle.edge;
+  s.particle.edge = function(axis) {
+    seen.push(axis);
+    return edge.apply(this, arguments);
+  };
+  s.particle.speed.x = 60;
+  s.particle.speed.y = 60;
+
+  s.system.step(0.1);
+  assert.deepStrictEqual(seen, ['x', 'y']);
+  assert.ok(s.particle.position.x >= 0 && s.particle.position.x <= 400, 'x is ' + s.particle.position.x);
+  assert.ok(s.particle.position.y >= 0 && s.particle.position.y <= 300, 'y is ' + s.particle.position.y);
+});
+
+/**
+ * options.layers with the named layer's visible set, as toggleLayer() does
+ */
+function showLayer(system, name, visible) {
+  system.options.layers = system.options.layers.map(function(layer) {
+    return layer.name === name ? Object.assign({}, layer, { visible: visible }) : layer;
+  });
+  system.apply({ layers: system.options.layers });
+}
+
+test('layers are systems of their own, drawn back to front', function() {
+  var system = new ParticleSystem({
+    seed: 1,
+    dotColor: '#000000',
+    layers: [
+      { name: 'far', density: 20000, dotColor: '#ff0000' },
+      { name: 'near', density: 10000 }
+    ]
+  }, 400, 300);
+
+  assert.deepStrictEqual(system.layers.map(function(layer) { return layer.name; }), ['far', 'near']);
+  assert.strictEqual(system.layers[0].particles.length, 6);
+  assert.strictEqual(system.layers[1].particles.length, 12);
+  // Layers override the options they set and inherit the rest
+  system.layers[0].particles.forEach(function(p) { assert.strictEqual(p.color, '#ff0000'); });
+  system.layers[1].particles.forEach(function(p) { assert.strictEqual(p.color, '#000000'); });
+  assert.deepStrictEqual(system.particles, system.layers[0].particles.concat(system.layers[1].particles));
+
+  // Unnamed layers go by their index
+  var unnamed = new ParticleSystem({ seed: 1, layers: [{}, {}] }, 400, 300);
+  assert.deepStrictEqual(unnamed.layers.map(function(layer) { return layer.name; }), ['0', '1']);
+});
+
+test('a hidden layer is not drawn or moved, and keeps its particles', function() {
+  var system = new ParticleSystem({
+    seed: 1,
+    layers: [{ name: 'far', density: 20000 }, { name: 'near' }]
+  }, 400, 300);
+  var far = system.layers[0];
+  var near = system.layers[1];
+  var kept = far.particles.slice();
+  var before = kept.map(function(p) { return p.position.x + ',' + p.position.y; });
+
+  showLayer(system, 'far', false);
+  assert.deepStrictEqual(system.visibleLayers(), [near]);
+  assert.deepStrictEqual(system.particles, near.particles);
+  system.step(0.5);
+  assert.deepStrictEqual(far.particles.map(function(p) { return p.position.x + ',' + p.position.y; }), before);
+
+  showLayer(system, 'far', true);
+  assert.strictEqual(system.layers[0], far);
+  assert.deepStrictEqual(far.particles, kept);
+  assert.deepStrictEqual(system.particles, kept.concat(near.particles));
+});
+
+test('changing one layer keeps the others as they are', function() {
+  var system = new ParticleSystem({
+    seed: 1,
+    layers: [{ name: 'far', density: 20000 }, { name: 'near' }]
+  }, 400, 300);
+  var near = system.layers[1].particles.slice();
+
+  system.options.layers = [{ name: 'far', density: 10000 }, { name: 'near' }];
+  system.apply({ layers: system.options.layers });
+  assert.strictEqual(system.layers[0].particles.length, 12);
+  assert.deepStrictEqual(system.layers[1].particles, near);
+
+  // Dropping a layer drops its particles
+  system.options.layers = [{ name: 'near' }];
+  system.apply({ layers: system.options.layers });
+  assert.deepStrictEqual(system.particles, near);
+
+  // An inherited change reaches the layers that don't set it
+  system.options.dotColor = '#00ff00';
+  system.options.layers = [{ name: 'near' }, { name: 'red', dotColor: '#ff0000' }];
+  system.apply({ dotColor: '#00ff00', layers: system.options.layers });
+  system.layers[0].particles.forEach(function(p) { assert.strictEqual(p.color, '#00ff00'); });
+  system.layers[1].particles.forEach(function(p) { assert.strictEqual(p.color, '#ff0000'); });
+});
@@ -0,0 +1,22 @@
+// Compiled by npm run typecheck, never run. Checks that the ES module build
+// is typed, without esModuleInterop.
+import particleground, { defaults, ParticleSystem, forces, random, autoStart } from '../js/jquery.particleground.mjs';
+
+const element = document.createElement('div');
+const instance: particleground.Instance = particleground(element, {
+  density: defaults.density,
+  links: { proximity: 80 },
+  parallax: false,
+  interaction: { mode: 'repulse' }
+});
+
+const parallax: boolean = instance.option('parallax');
+instance.on('frame', function(detail) {
+  const fps: number = detail.fps;
+});
+
+const system = new ParticleSystem({ seed: 'types' }, 320, 240);
+system.step(1 / 60);
+const push: { x: number; y: number } = forces.repulse(10, 0, 100, 300);
+const next: number = random(1)();
+autoStart();
@@ -0,0 +1,118 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+/**
+ * A visible page in worker mode, with the worker running for real
+ */
+function workerPage(settings) {
+  var workers;
+  var dom = helpers.loadInDom(Object.assign({
+    setup: function(window) {
+      workers = helpers.useWorkers(window);
+      // jsdom pages count as hidden, which would suspend the loop
+      Object.defineProperty(window.document, 'hidden', { value: false });
+    }
+  }, settings));
+  dom.window.particleground.workerUrl = 'particleground.js';
+  dom.workers = workers;
+  return dom;
+}
+
+test('options and calls round-trip through the worker', async function() {
+  var dom = workerPage();
+  var instance = dom.window.particleground(dom.element, { worker: true });
+  assert.strictEqual(dom.workers.length, 1);
+  var frames = [];
+  instance.on('frame', function(detail) { frames.push(detail); });
+
+  instance.start();
+  await helpers.flush();
+  assert.strictEqual(frames.length, 1);
+  assert.strictEqual(frames[0].particles, 48);
+
+  instance.option('density', 20000);
+  instance.start();
+  await helpers.flush();
+  assert.strictEqual(frames[frames.length - 1].particles, 24);
+
+  var png = await instance.exportFrame();
+  assert.strictEqual(png.type, 'image/png');
+  assert.ok(png.size > 0);
+
+  instance.destroy();
+  dom.window.close();
+});
+
+test('pause() holds the worker loop until start()', async function() {
+  var dom = workerPage();
+  var instance = dom.window.particleground(dom.element, { worker: true });
+  var worker = dom.workers[0];
+  await helpers.flush();
+  assert.strictEqual(worker.frames.size, 1);
+
+  instance.pause();
+  await helpers.flush();
+  worker.frame();
+  assert.strictEqual(worker.frames.size, 0, 'a paused worker asked for another frame');
+
+  instance.start();
+  await helpers.flush();
+  assert.strictEqual(worker.frames.size, 1);
+
+  instance.destroy();
+  dom.window.close();
+});
+
+test('pause() and start() do nothing after destroy()', async function() {
+  var dom = workerPage({ jquery: true });
+  var $ = dom.window.jQuery;
+  var instance = dom.window.particleground(dom.element, { worker: true });
+  var worker = dom.workers[0];
+  var heard = 0;
+  $(dom.element).on('pg:pause pg:start', function() { heard++; });
+
+  instance.destroy();
+  var posted = worker.posted.length;
+  instance.pause();
+  instance.start();
+
+  assert.strictEqual(worker.posted.length, posted);
+  assert.strictEqual(heard, 0);
+  dom.window.close();
+});
+
+test('a worker that fails hands over to the main thread', async function() {
+  var dom = workerPage();
+  // Once the page has loaded, and jsdom has added its own listeners
+  await helpers.flush();
+  var before = dom.tracked.listeners.size;
+  var instance = dom.window.particleground(dom.element, { worker: true, density: 20000 });
+  var worker = dom.workers[0];
+  var transferred = dom.element.querySelector('canvas');
+  var frames = [];
+  var destroyed = 0;
+  instance.on('frame', function(detail) { frames.push(detail); });
+  instance.on('destroy', function() { destroyed++; });
+  await helpers.flush();
+
+  worker.fail();
+  assert.ok(worker.terminated);
+  var canvases = dom.element.querySelectorAll('canvas');
+  assert.strictEqual(canvases.length, 1);
+  assert.notStrictEqual(canvases[0], transferred);
+
+  // The same instance and listeners, now drawing on this thread
+  frames.length = 0;
+  instance.start();
+  assert.strictEqual(frames.length, 1);
+  assert.strictEqual(frames[0].particles, 24);
+  assert.ok(dom.tracked.frames.size > 0);
+
+  instance.destroy();
+  assert.strictEqual(destroyed, 1);
+  assert.strictEqual(dom.tracked.listeners.size, before, 'listeners left registered');
+  assert.strictEqual(dom.tracked.frames.size, 0);
+  assert.strictEqual(dom.element.querySelectorAll('canvas').length, 0);
+  dom.window.close();
+});
@@ -0,0 +1,82 @@
+/* ============================================
+   Long-Distance Protocol – Valentine Delivery
+   land.js
+
+   Coarse coastlines for the offline globe in main.js, used
+   when Globe.gl or its textures can't be loaded. Each outline
+   is a closed polygon of [lng, lat] pairs, simplified by hand
+   to a few degrees of accuracy — plenty for a dot-matrix map.
+   ============================================ */
+
+window.LAND_OUTLINES = [
+  // North America
+  [[-168, 66], [-162, 70], [-156, 71.3], [-141, 69.6], [-128, 70], [-115, 68.5], [-95, 68], [-88, 69],
+   [-82, 66], [-90, 63], [-94, 59], [-92, 57], [-82, 55], [-79, 52], [-77, 56], [-78, 62], [-72, 62],
+   [-64, 60], [-61, 56], [-56, 52], [-60, 47], [-64, 45], [-66, 44.5], [-70, 43.5], [-70, 41.7],
+   [-74, 40.5], [-76, 38], [-75.5, 35.3], [-77.5, 34], [-81, 31.5], [-80, 27], [-80.4, 25.2], [-82, 26.5],
+   [-83, 29], [-85, 30], [-89, 30.2], [-94, 29.6], [-97, 27.8], [-97.5, 25], [-97.8, 22], [-96, 19],
+   [-94.5, 18.2], [-91, 18.8], [-90.5, 21], [-87, 21.5], [-88, 18], [-88.5, 16], [-84, 15.8], [-83.3, 11],
+   [-81.5, 9], [-79, 9.4], [-77.5, 8.5], [-79, 7.5], [-80.5, 7.3], [-83.5, 8.5], [-85.8, 10.5], [-87.5, 13],
+   [-91.5, 14], [-94.5, 16], [-97.5, 16], [-101, 17.5], [-105.5, 20.5], [-105.5, 23], [-109, 26],
+   [-112.5, 29.5], [-114.7, 31.5], [-113, 29], [-110, 24], [-109.5, 23], [-112, 24.5], [-114, 27.5],
+   [-115, 30], [-117, 32.5], [-118.5, 34], [-120.5, 34.5], [-122.5, 37.5], [-124, 40.5], [-124.5, 43],
+   [-124, 46.5], [-124.7, 48.4], [-123, 49], [-127, 50.5], [-131, 54], [-134, 57], [-138, 59], [-142, 60],
+   [-148, 60.5], [-152, 59], [-158, 56.5], [-162, 55], [-158, 58], [-162, 59.5], [-165, 61], [-164.5, 63.5],
+   [-161, 64.5], [-166, 65.5]],
+  // Greenland
+  [[-73, 78], [-60, 82], [-40, 83.5], [-20, 82], [-18, 77], [-21, 72], [-23, 70], [-32, 68], [-40, 65],
+   [-43, 60], [-48, 61], [-52, 65], [-54, 68], [-55, 71], [-60, 76], [-68, 77]],
+  // Cuba
+  [[-85, 21.9], [-81.5, 23.2], [-77, 22], [-74.2, 20.2], [-77.5, 19.8], [-80, 21.8]],
+  // Iceland
+  [[-24, 65.5], [-18, 66.5], [-13.5, 65], [-15, 64], [-22, 63.8]],
+  // South America
+  [[-77.5, 8.5], [-72, 12], [-66, 10.8], [-61, 10.5], [-58, 7], [-52, 5], [-50, 1], [-45, -1.5], [-39, -3.5],
+   [-35, -5.5], [-35, -9], [-39, -14], [-39.5, -18], [-41, -22], [-45, -23.8], [-48.5, -26.5], [-53, -33.5],
+   [-57.5, -35], [-57, -38.5], [-62, -39], [-65, -42], [-67.5, -46.5], [-69, -51], [-68.5, -54.5],
+   [-72, -53.5], [-75, -49], [-73.5, -43], [-73.5, -37], [-71.5, -30], [-70.5, -23], [-70.3, -18.5],
+   [-75.5, -15], [-79.5, -8], [-81, -5], [-80, -1], [-79, 1.5], [-77.5, 4], [-77.3, 7]],
+  // Great Britain
+  [[-5.7, 50], [1.5, 51.2], [1.7, 52.7], [0, 53.5], [-1.6, 55.5], [-2, 57.5], [-4, 58.6], [-5.5, 58.3],
+   [-6.2, 56.5], [-4.8, 55], [-3, 54.5], [-3.1, 53.4], [-4.6, 52.8], [-5.2, 51.7], [-3.4, 51.4]],
+  // Eurasia
+  [[-9.5, 43.5], [-8.8, 37], [-5.5, 36], [-0.5, 38.5], [3.2, 42.5], [7.5, 43.7], [12.5, 44], [15.5, 38],
+   [18.5, 40.2], [13.5, 45.5], [19.5, 41.5], [23, 36.5], [26, 40.5], [29, 41], [36, 36.5], [35, 33],
+   [34.5, 31], [32.5, 30], [35, 28], [39, 21], [43, 13], [45, 12.7], [52, 16], [58.5, 21], [56, 26.5],
+   [50, 30], [48, 29.5], [50.5, 27], [51.5, 24.5], [56.5, 26.5], [57.5, 25.5], [62, 25], [67, 24.8],
+   [69, 22.5], [72.8, 19], [74.5, 14], [76.5, 8.3], [78, 8.5], [80, 15.5], [85, 19.5], [87, 21.5],
+   [91.5, 22.5], [94.5, 17], [97.5, 16.5], [98.5, 10], [100, 13.5], [103, 10.5], [101, 2.9], [103.5, 1.4],
+   [104.3, 10.5], [109, 11.5], [108.5, 15.5], [106.5, 20], [111, 21.5], [117, 23], [121.5, 30.5],
+   [120.5, 34], [119.5, 37.5], [117.7, 39], [121.5, 40.8], [125, 39.5], [126.5, 34.5], [129.3, 35.5],
+   [129.5, 42.5], [135, 43.5], [140.5, 48.5], [141, 52.5], [137, 54], [141, 59], [149, 59.5], [155, 59],
+   [156.5, 51], [160, 53.5], [163, 58], [170, 60], [179, 62.5], [180, 65], [180, 68.8], [170, 70],
+   [160, 70.5], [150, 71.5], [140, 72.5], [130, 71], [120, 73], [113, 73.5], [104, 77.5], [95, 76],
+   [87, 75], [80, 73], [72, 72.5], [69, 68], [60, 69.5], [53, 71.5], [44, 68.5], [40, 66.5], [35, 69.2],
+   [28, 71], [20, 70], [15, 68.5], [12.5, 65.5], [8, 63], [5, 61], [5.5, 58.5], [8, 58], [10.5, 59.5],
+   [12, 56], [10, 55], [8.5, 57], [8.5, 54], [4.5, 52.5], [1.5, 51], [-4.5, 48.5], [-1.5, 46], [-1.5, 43.5]],
+  // Japan
+  [[130.9, 31.3], [131.9, 33.8], [135, 33.5], [139.8, 35], [141, 38], [141.5, 41.4], [140, 40.5],
+   [139.5, 38], [136.8, 37.2], [133, 35.6], [130.9, 34]],
+  // Africa
+  [[-5.9, 35.8], [-1, 35.1], [10, 37.2], [11, 33.5], [15, 32.3], [20, 30.8], [20, 32.8], [25, 31.7],
+   [32.5, 31.2], [34, 27.5], [37.5, 19], [39.5, 15.3], [43.3, 12], [51.2, 11.8], [49, 6], [42, -1],
+   [39.5, -5], [40.5, -11], [40.3, -16], [35.5, -22], [32.8, -26], [30, -31], [25.5, -34], [20, -34.8],
+   [18.3, -32], [15, -27], [11.8, -17], [13.5, -11], [12, -5], [9, -1], [9.5, 4], [6, 4.3], [2, 6.2],
+   [-5, 5], [-8, 4.4], [-11.5, 6.8], [-15, 11], [-17.2, 14.7], [-16.5, 19.5], [-17, 21], [-13, 27.5],
+   [-9.8, 29.8], [-9.3, 32.5]],
+  // Madagascar
+  [[44, -25], [47, -25], [50.5, -15.5], [49.3, -12], [44.5, -16], [43.3, -21.5]],
+  // Sumatra
+  [[95.3, 5.6], [98.5, 3.9], [104, -1], [106, -5.9], [102, -4], [97, 2]],
+  // Borneo
+  [[109, 1.5], [110.5, -1], [114.5, -3.6], [116.5, -2], [119, 1], [117.5, 6.5], [115.5, 5], [111, 1.8]],
+  // Australia
+  [[113.5, -22], [114, -26.5], [115, -34], [118, -35], [123.5, -34], [129, -31.6], [131, -31.5],
+   [135.5, -34.8], [138, -35.6], [140, -38], [146, -39], [150, -37.5], [153.5, -28], [153, -25],
+   [149, -20.5], [146, -18.5], [145.3, -15], [142.5, -10.7], [141.5, -13], [141.5, -17], [139, -17],
+   [136, -15], [137, -12], [132.5, -11.5], [130, -13], [129.5, -15], [126, -14], [122, -17.5],
+   [121, -19.5], [117, -20.7]],
+  // New Zealand
+  [[172.7, -34.5], [178.5, -37.7], [176.8, -40], [174.5, -41.5], [172.5, -40.7], [168, -46.3],
+   [166.5, -46], [170.5, -43], [174, -39]]
+];
@@ -2,26 +2,50 @@
    Long-Distance Protocol – Valentine Delivery
    main.js
    
-   Orchestrates the full experience:
-   Phase 1: Landing (starfield + typewriter terminal)
-   Phase 2: Globe animation (3D globe with arc from SF → Boston)
-   Phase 3: Status overlay (animated counters)
-   Phase 4: Transition (cyber → romantic)
-   Phase 5: Letter reveal (typewriter + content)
-   Phase 6: The Ask (accept / dodge interactions)
+   Orchestrates the full experience as a timeline of phases:
+   landing:  starfield + typewriter terminal
+   globe:    3D globe with arcs along ROUTE,
+             or a canvas map when Globe.gl can't load
+   status:   status overlay (animated counters)
+   letter:   cyber → romantic transition, letter reveal
+   ask:      the ask (accept / dodge interactions)
+   accepted: confetti + final message
+
+   Skip jumps to the next phase, Replay goes back to the globe,
+   and ?phase=<name> starts at any of them.
    ============================================ */
 
 (function () {
   'use strict';
 
+  /* ---------- Route ---------- */
+  // The journey, in order. `label` names the globe marker, `place` is the
+  // terminal line. Override with ?route=<url of a JSON file> of the same shape,
+  // optionally with a `view: { lat, lng, altitude }` for the camera.
+  const ROUTE = {
+    waypoints: [
+      { label: 'San Francisco', place: 'San Francisco, CA', lat: 37.7749, lng: -122.4194, color: '#a78bfa' },  // Lavender
+      { label: 'Cambridge', place: 'Cambridge, MA', lat: 42.3601, lng: -71.0589, color: '#f9a8d4' }            // Pink
+    ]
+  };
+
+  // Checks, distances and camera position, from route.js
+  const { isValidRoute, withDefaults, routeLegs, routeMiles, routeView } = window.ROUTE_MATH;
+
   /* ---------- Constants ---------- */
-  const SF_COORDS = { lat: 37.7749, lng: -122.4194 };
-  const BOSTON_COORDS = { lat: 42.3601, lng: -71.0589 };
-  const DISTANCE_MILES = 3084;
+  const TERMINAL_LINE_DELAY = 800;     // ms between terminal lines
   const ARC_FLIGHT_TIME = 7000;        // ms for the arc animation
   const ARRIVING_THRESHOLD = 0.75;     // 75% through the arc
   const CE_DISPLAY_TIME = 2500;        // ms to show "Connection Established"
   const TYPEWRITER_SPEED = 25;         // ms per character
+  const LAND_DOT_SPACING = 1.5;        // degrees between dots on the offline map
+
+  // ?seed=<value> makes the starfield and ambient particles reproducible,
+  // using the same seeded generator as particleground
+  const SEED = new URLSearchParams(window.location.search).get('seed');
+  const random = SEED !== null && window.particleground
+    ? window.particleground.random(SEED)
+    : Math.random;
 
   /* ---------- DOM References ---------- */
   const $landing = document.getElementById('landing');
@@ -38,8 +62,11 @@
   const $retryError = document.getElementById('retry-error');
   const $acceptedState = document.getElementById('accepted-state');
   const $countdown = document.getElementById('countdown');
+  const $btnSkip = document.getElementById('btn-skip');
+  const $btnReplay = document.getElementById('btn-replay');
 
   /* ---------- State ---------- */
+  let route = ROUTE;
   let retryCount = 0;
   const retryMessages = [
     'Error: Connection refused.',
@@ -47,6 +74,30 @@
     'Rerouting to Accept...'
   ];
 
+  /* ============================================
+     ROUTE
+     ============================================ */
+
+  /**
+   * Loads the route from ?route=<url>, falling back to ROUTE
+   * if there's no parameter or the file is missing or malformed.
+   * Waypoints without a color get one.
+   */
+  async function loadRoute() {
+    const url = new URLSearchParams(window.location.search).get('route');
+    if (!url) return ROUTE;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const loaded = await response.json();
+      if (!isValidRoute(loaded)) throw new Error('Expected at least two waypoints with lat and lng');
+      return withDefaults(loaded);
+    } catch (err) {
+      console.warn(`Route ${url} failed to load. Using the default.`, err);
+      return ROUTE;
+    }
+  }
+
   /* ============================================
      PHASE 1: LANDING SCREEN
      ============================================ */
@@ -85,17 +136,17 @@
     function createStars() {
       stars.length = 0;
       for (let i = 0; i < STAR_COUNT; i++) {
-        const color = STAR_COLORS[Math.floor(Math.random() * STAR_COLORS.length)];
+        const color = STAR_COLORS[Math.floor(random() * STAR_COLORS.length)];
         stars.push({
           // Snap to pixel grid
-          x: Math.floor((Math.random() * canvas.width) / PIXEL) * PIXEL,
-          y: Math.floor((Math.random() * canvas.height) / PIXEL) * PIXEL,
-          size: (Math.random() > 0.7 ? 2 : 1) * PIXEL,  // Mostly 1-pixel, some 2-pixel
+          x: Math.floor((random() * canvas.width) / PIXEL) * PIXEL,
+          y: Math.floor((random() * canvas.height) / PIXEL) * PIXEL,
+          size: (random() > 0.7 ? 2 : 1) * PIXEL,  // Mostly 1-pixel, some 2-pixel
           color: color,
-          alpha: Math.random() * 0.7 + 0.3,
-          speed: (Math.random() > 0.8 ? 2 : 1) * PIXEL * 0.01,  // Slow, stepped drift
-          twinkleRate: Math.floor(Math.random() * 60 + 30),  // Frames between twinkle changes
-          twinkleFrame: Math.floor(Math.random() * 60),
+          alpha: random() * 0.7 + 0.3,
+          speed: (random() > 0.8 ? 2 : 1) * PIXEL * 0.01,  // Slow, stepped drift
+          twinkleRate: Math.floor(random() * 60 + 30),  // Frames between twinkle changes
+          twinkleFrame: Math.floor(random() * 60),
           on: true  // Twinkle state
         });
       }
@@ -123,34 +174,59 @@
         s.y -= s.speed;
         if (s.y < -s.size) {
           s.y = canvas.height + s.size;
-          s.x = Math.floor((Math.random() * canvas.width) / PIXEL) * PIXEL;
+          s.x = Math.floor((random() * canvas.width) / PIXEL) * PIXEL;
         }
       }
       animId = requestAnimationFrame(draw);
     }
 
+    function handleResize() {
+      resize();
+      createStars();
+    }
+
     resize();
     createStars();
     animId = requestAnimationFrame(draw);
 
-    window.addEventListener('resize', () => {
-      resize();
-      createStars();
-    });
+    window.addEventListener('resize', handleResize);
 
     // Return cleanup function
-    return () => cancelAnimationFrame(animId);
+    return () => {
+      cancelAnimationFrame(animId);
+      window.removeEventListener('resize', handleResize);
+    };
+  }
+
+  /**
+   * Writes the Origin / Via / Destination terminal lines for the route
+   * before the status line, then spaces every line's delay evenly.
+   */
+  function renderRouteLines(r) {
+    const $status = document.getElementById('terminal-status');
+    const last = r.waypoints.length - 1;
+    r.waypoints.forEach((w, i) => {
+      const line = document.createElement('p');
+      line.classList.add('terminal-line');
+      const role = i === 0 ? 'Origin' : i === last ? 'Destination' : 'Via';
+      line.textContent = `> ${role}: ${w.place || w.label}`;
+      $status.parentNode.insertBefore(line, $status);
+    });
+    document.querySelectorAll('.terminal-line').forEach((line, i) => {
+      line.dataset.delay = i * TERMINAL_LINE_DELAY;
+    });
   }
 
   /**
    * Animates terminal lines appearing one by one with a typewriter-like
    * fade-in effect, then reveals the "Begin Transmission" button.
    */
-  function animateTerminal() {
+  function animateTerminal(scope) {
     const lines = document.querySelectorAll('.terminal-line');
     lines.forEach((line, i) => {
       const delay = parseInt(line.dataset.delay, 10) || i * 600;
-      setTimeout(() => line.classList.add('visible'), delay);
+      line.classList.remove('visible');
+      scope.after(delay, () => line.classList.add('visible'));
     });
 
     // Show button after all lines are visible
@@ -158,9 +234,9 @@
       return Math.max(max, parseInt(line.dataset.delay, 10) || 0);
     }, 0);
 
-    setTimeout(() => {
+    scope.after(totalDelay + 800, () => {
       $btnBegin.classList.add('show');
-    }, totalDelay + 800);
+    });
   }
 
   /* ============================================
@@ -168,147 +244,414 @@
      ============================================ */
 
   /**
-   * Initializes Globe.gl with night-Earth aesthetic,
-   * two city markers, and an animated arc from SF to Boston.
-   * Returns a promise that resolves when the arc "arrives."
+   * Initializes Globe.gl with night-Earth aesthetic, a marker for
+   * each waypoint and an animated arc along each leg of the route.
+   * Falls back to the offline canvas map if Globe.gl doesn't load.
+   * Resolves with the view: { launch, reset, pause, resume }. The
+   * arcs fly on launch().
    */
-  function initGlobe() {
+  function loadGlobe() {
     return new Promise((resolve) => {
       const $loading = document.getElementById('globe-loading');
+      const $globeScript = document.getElementById('globe-gl');
+
+      function hideLoading() {
+        setTimeout(() => {
+          if ($loading) {
+            $loading.style.transition = 'opacity 0.5s ease';
+            $loading.style.opacity = '0';
+            setTimeout(() => $loading.style.display = 'none', 500);
+          }
+        }, 800);
+      }
 
-      // Wait for Globe.gl to be available (with retry)
+      // Wait for Globe.gl to be available (with retry). Don't wait when
+      // we know it isn't coming
       let waitAttempts = 0;
       function waitForGlobe() {
+        const failed = navigator.onLine === false || ($globeScript && $globeScript.dataset.failed);
         if (typeof Globe !== 'undefined') {
-          buildGlobe();
-        } else if (waitAttempts < 50) {
+          try {
+            resolve(buildGlobe());
+          } catch (err) {
+            // e.g. no WebGL
+            console.warn('Globe.gl failed to start. Using the offline map.', err);
+            $globeContainer.textContent = '';
+            resolve(buildFallbackGlobe($globeContainer));
+          }
+          hideLoading();
+        } else if (!failed && waitAttempts < 50) {
           waitAttempts++;
           setTimeout(waitForGlobe, 200);
         } else {
-          console.warn('Globe.gl failed to load. Skipping to letter.');
-          if ($loading) $loading.style.display = 'none';
-          resolve();
+          console.warn('Globe.gl failed to load. Using the offline map.');
+          resolve(buildFallbackGlobe($globeContainer));
+          hideLoading();
         }
       }
 
-      function buildGlobe() {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
-
-        // Create the globe instance at full resolution
-        const globe = Globe()
-          .globeImageUrl('https://unpkg.com/three-globe/example/img/earth-night.jpg')
-          .backgroundImageUrl('https://unpkg.com/three-globe/example/img/night-sky.png')
-          .width(width)
-          .height(height)
-          .backgroundColor('rgba(0,0,0,0)')
-          .atmosphereColor('#a78bfa')           // Lavender atmosphere
-          .atmosphereAltitude(0.25)
-          .showGraticules(false)
-          ($globeContainer);
-
-        // Hide loading text once globe renders
-        setTimeout(() => {
-          if ($loading) {
-            $loading.style.transition = 'opacity 0.5s ease';
-            $loading.style.opacity = '0';
-            setTimeout(() => $loading.style.display = 'none', 500);
-          }
-        }, 800);
+      waitForGlobe();
+    });
+  }
 
-        // Point-of-view: center on the US, slight tilt
-        globe.pointOfView({ lat: 39.5, lng: -98.0, altitude: 2.2 }, 1000);
-
-        // Disable auto-rotate so we control the view
-        globe.controls().autoRotate = false;
-        globe.controls().enableZoom = false;
-        // Allow gentle drag but restrict
-        globe.controls().enableRotate = true;
-        globe.controls().rotateSpeed = 0.3;
-
-        // City markers — kawaii pastel colors
-        const markerData = [
-          { ...SF_COORDS, city: 'San Francisco', color: '#a78bfa' },  // Lavender
-          { ...BOSTON_COORDS, city: 'Cambridge', color: '#f9a8d4' }    // Pink
-        ];
-
-        globe
-          .ringsData(markerData)
-          .ringLat(d => d.lat)
-          .ringLng(d => d.lng)
-          .ringColor(d => () => d.color)
-          .ringMaxRadius(3)
-          .ringPropagationSpeed(2)
-          .ringRepeatPeriod(1200);
-
-        // Point markers
-        globe
-          .pointsData(markerData)
-          .pointLat(d => d.lat)
-          .pointLng(d => d.lng)
-          .pointColor(d => d.color)
-          .pointAltitude(0.015)
-          .pointRadius(0.5);
-
-        // Labels
-        globe
-          .labelsData(markerData)
-          .labelLat(d => d.lat)
-          .labelLng(d => d.lng)
-          .labelText(d => d.city)
-          .labelSize(1.4)
-          .labelDotRadius(0.5)
-          .labelColor(d => () => d.color)
-          .labelAltitude(0.018)
-          .labelResolution(1);  // Low resolution for pixel feel
-
-        // Animated arc from SF to Boston — pastel gradient
-        const arcData = [{
-          startLat: SF_COORDS.lat,
-          startLng: SF_COORDS.lng,
-          endLat: BOSTON_COORDS.lat,
-          endLng: BOSTON_COORDS.lng,
-          color: ['#a78bfa', '#f9a8d4']  // Lavender → Pink
-        }];
-
-        // Start with no arc, add after globe settles
-        setTimeout(() => {
-          globe
-            .arcsData(arcData)
-            .arcColor(d => d.color)
-            .arcStroke(1.2)    // Thicker stroke for pixel visibility
-            .arcDashLength(0.6)
-            .arcDashGap(0.3)
-            .arcDashAnimateTime(ARC_FLIGHT_TIME)
-            .arcAltitudeAutoScale(0.4);
-
-          // Show status overlay
-          $statusOverlay.classList.add('visible');
+  /**
+   * The globe view, loaded on first use and kept for replays.
+   */
+  let globeView = null;
+  function getGlobe() {
+    globeView = globeView || loadGlobe();
+    return globeView;
+  }
+
+  function buildGlobe() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+
+    // Create the globe instance at full resolution. The textures are
+    // three-globe's example images (MIT), served from here with the page
+    const globe = Globe()
+      .globeImageUrl('earth-night.jpg')
+      .backgroundImageUrl('night-sky.png')
+      .width(width)
+      .height(height)
+      .backgroundColor('rgba(0,0,0,0)')
+      .atmosphereColor('#a78bfa')           // Lavender atmosphere
+      .atmosphereAltitude(0.25)
+      .showGraticules(false)
+      ($globeContainer);
+
+    // Point-of-view: center on the route, slight tilt
+    globe.pointOfView(routeView(route), 1000);
+
+    // Disable auto-rotate so we control the view
+    globe.controls().autoRotate = false;
+    globe.controls().enableZoom = false;
+    // Allow gentle drag but restrict
+    globe.controls().enableRotate = true;
+    globe.controls().rotateSpeed = 0.3;
+
+    // City markers — kawaii pastel colors
+    const markerData = route.waypoints;
+
+    globe
+      .ringsData(markerData)
+      .ringLat(d => d.lat)
+      .ringLng(d => d.lng)
+      .ringColor(d => () => d.color)
+      .ringMaxRadius(3)
+      .ringPropagationSpeed(2)
+      .ringRepeatPeriod(1200);
+
+    // Point markers
+    globe
+      .pointsData(markerData)
+      .pointLat(d => d.lat)
+      .pointLng(d => d.lng)
+      .pointColor(d => d.color)
+      .pointAltitude(0.015)
+      .pointRadius(0.5);
+
+    // Labels
+    globe
+      .labelsData(markerData)
+      .labelLat(d => d.lat)
+      .labelLng(d => d.lng)
+      .labelText(d => d.label)
+      .labelSize(1.4)
+      .labelDotRadius(0.5)
+      .labelColor(d => () => d.color)
+      .labelAltitude(0.018)
+      .labelResolution(1);  // Low resolution for pixel feel
+
+    // Animated arc along each leg — pastel gradient between its waypoints.
+    // Legs share the flight time and set off one after another.
+    const legs = routeLegs(route);
+    const arcData = legs.map((leg, i) => ({
+      startLat: leg.from.lat,
+      startLng: leg.from.lng,
+      endLat: leg.to.lat,
+      endLng: leg.to.lng,
+      color: [leg.from.color, leg.to.color],
+      initialGap: i
+    }));
+
+    globe
+      .arcColor(d => d.color)
+      .arcStroke(1.2)    // Thicker stroke for pixel visibility
+      .arcDashLength(0.6)
+      .arcDashGap(0.3)
+      .arcDashInitialGap(d => d.initialGap)
+      .arcDashAnimateTime(ARC_FLIGHT_TIME / legs.length)
+      .arcAltitudeAutoScale(0.4);
+
+    // Handle resize
+    const handleResize = () => {
+      globe.width(window.innerWidth);
+      globe.height(window.innerHeight);
+    };
+    window.addEventListener('resize', handleResize);
+
+    return {
+      launch() {
+        globe.arcsData(arcData);
+      },
+      // Start with no arc, back at the starting view
+      reset() {
+        globe.arcsData([]);
+        globe.pointOfView(routeView(route), 1000);
+      },
+      pause() {
+        globe.pauseAnimation();
+      },
+      resume() {
+        globe.resumeAnimation();
+      }
+    };
+  }
+
+  /* ============================================
+     PHASE 2 (OFFLINE): CANVAS GLOBE
+     ============================================ */
 
-          // Start the latency counter animation
-          animateLatencyCounter();
+  /**
+   * Draws the route on an orthographic projection of the Earth in a
+   * canvas, with land from land.js as a dot matrix: no CDN or WebGL
+   * needed. Mirrors the Globe.gl view — markers, rings, labels and
+   * dashed arcs flying the same time. Returns the same view as
+   * buildGlobe().
+   */
+  function buildFallbackGlobe(container) {
+    const canvas = document.createElement('canvas');
+    canvas.classList.add('globe-fallback');
+    canvas.style.display = 'block';
+    container.appendChild(canvas);
+    const ctx = canvas.getContext('2d');
 
-          // Schedule status changes
-          scheduleStatusUpdates(resolve);
-        }, 1500);
+    const view = routeView(route);
+    const rad = deg => deg * Math.PI / 180;
+    const sinLat0 = Math.sin(rad(view.lat));
+    const cosLat0 = Math.cos(rad(view.lat));
+    const legs = routeLegs(route);
+    const legTime = ARC_FLIGHT_TIME / legs.length;
+
+    let width, height, radius, cx, cy;
+    let base = null;        // Globe, graticule and land, drawn once per size
+    let launchedAt = null;
+    let animId = null;
+
+    /**
+     * Orthographic projection, lifted altitude globe radii off the
+     * surface. z < 0 is the far side.
+     */
+    function project(lat, lng, altitude = 0) {
+      const phi = rad(lat);
+      const dLng = rad(lng - view.lng);
+      const scale = radius * (1 + altitude);
+      return {
+        x: cx + scale * Math.cos(phi) * Math.sin(dLng),
+        y: cy - scale * (cosLat0 * Math.sin(phi) - sinLat0 * Math.cos(phi) * Math.cos(dLng)),
+        z: sinLat0 * Math.sin(phi) + cosLat0 * Math.cos(phi) * Math.cos(dLng)
+      };
+    }
 
-        // Handle resize
-        const handleResize = () => {
-          globe.width(window.innerWidth);
-          globe.height(window.innerHeight);
-        };
-        window.addEventListener('resize', handleResize);
+    // Even-odd test of a [lng, lat] point against an outline
+    function inside(lng, lat, outline) {
+      let within = false;
+      for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+        const [x1, y1] = outline[i];
+        const [x2, y2] = outline[j];
+        if ((y1 > lat) !== (y2 > lat) && lng < (x2 - x1) * (lat - y1) / (y2 - y1) + x1) {
+          within = !within;
+        }
       }
+      return within;
+    }
 
-      waitForGlobe();
-    });
+    // Land dots, in [lat, lng]. Fewer per row towards the poles so they stay evenly spaced
+    const landDots = [];
+    const outlines = window.LAND_OUTLINES || [];
+    for (let lat = -90 + LAND_DOT_SPACING / 2; lat < 90; lat += LAND_DOT_SPACING) {
+      const step = LAND_DOT_SPACING / Math.max(Math.cos(rad(lat)), 0.1);
+      for (let lng = -180; lng < 180; lng += step) {
+        if (outlines.some(outline => inside(lng, lat, outline))) {
+          landDots.push([lat, lng]);
+        }
+      }
+    }
+
+    // Great-circle points along a leg, lifted into an arc like Globe.gl's
+    function arcPoints(leg, samples = 64) {
+      const toVector = w => [
+        Math.cos(rad(w.lat)) * Math.cos(rad(w.lng)),
+        Math.cos(rad(w.lat)) * Math.sin(rad(w.lng)),
+        Math.sin(rad(w.lat))
+      ];
+      const a = toVector(leg.from);
+      const b = toVector(leg.to);
+      const omega = Math.acos(Math.min(1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2]));
+      const points = [];
+      for (let i = 0; i <= samples; i++) {
+        const t = i / samples;
+        const wa = omega ? Math.sin((1 - t) * omega) / Math.sin(omega) : 1 - t;
+        const wb = omega ? Math.sin(t * omega) / Math.sin(omega) : t;
+        const v = [0, 1, 2].map(k => wa * a[k] + wb * b[k]);
+        const lat = Math.asin(Math.max(-1, Math.min(1, v[2]))) * 180 / Math.PI;
+        const lng = Math.atan2(v[1], v[0]) * 180 / Math.PI;
+        points.push(project(lat, lng, 0.2 * omega * Math.sin(Math.PI * t)));
+      }
+      return points;
+    }
+
+    function resize() {
+      const ratio = Math.min(window.devicePixelRatio || 1, 2);
+      width = window.innerWidth;
+      height = window.innerHeight;
+      canvas.width = width * ratio;
+      canvas.height = height * ratio;
+      canvas.style.width = width + 'px';
+      canvas.style.height = height + 'px';
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      radius = Math.min(width, height) * 0.9 / view.altitude;
+      cx = width / 2;
+      cy = height / 2;
+      base = null;
+    }
+
+    function drawBase() {
+      base = document.createElement('canvas');
+      base.width = canvas.width;
+      base.height = canvas.height;
+      const b = base.getContext('2d');
+      b.setTransform(canvas.width / width, 0, 0, canvas.height / height, 0, 0);
+
+      // Atmosphere and ocean
+      const glow = b.createRadialGradient(cx, cy, radius, cx, cy, radius * 1.25);
+      glow.addColorStop(0, 'rgba(167, 139, 250, 0.35)');   // Lavender atmosphere
+      glow.addColorStop(1, 'rgba(167, 139, 250, 0)');
+      b.fillStyle = glow;
+      b.fillRect(0, 0, width, height);
+      const ocean = b.createRadialGradient(cx - radius * 0.3, cy - radius * 0.3, 0, cx, cy, radius);
+      ocean.addColorStop(0, '#1b1640');
+      ocean.addColorStop(1, '#0a0820');
+      b.fillStyle = ocean;
+      b.beginPath();
+      b.arc(cx, cy, radius, 0, Math.PI * 2);
+      b.fill();
+
+      // Graticule every 15°
+      b.strokeStyle = 'rgba(167, 139, 250, 0.12)';
+      b.lineWidth = 1;
+      b.beginPath();
+      for (let lat = -75; lat <= 75; lat += 15) {
+        let drawing = false;
+        for (let lng = -180; lng <= 180; lng += 3) {
+          const p = project(lat, lng);
+          if (p.z < 0) { drawing = false; continue; }
+          drawing ? b.lineTo(p.x, p.y) : b.moveTo(p.x, p.y);
+          drawing = true;
+        }
+      }
+      for (let lng = -180; lng < 180; lng += 15) {
+        let drawing = false;
+        for (let lat = -90; lat <= 90; lat += 3) {
+          const p = project(lat, lng);
+          if (p.z < 0) { drawing = false; continue; }
+          drawing ? b.lineTo(p.x, p.y) : b.moveTo(p.x, p.y);
+          drawing = true;
+        }
+      }
+      b.stroke();
+
+      // Land as square pixels, dimmer towards the limb
+      const dot = Math.max(1.5, radius * rad(LAND_DOT_SPACING) * 0.55);
+      for (const [lat, lng] of landDots) {
+        const p = project(lat, lng);
+        if (p.z <= 0) continue;
+        b.fillStyle = `rgba(200, 180, 255, ${0.25 + 0.55 * p.z})`;
+        b.fillRect(Math.round(p.x - dot / 2), Math.round(p.y - dot / 2), dot, dot);
+      }
+    }
+
+    function draw(now) {
+      if (!base) drawBase();
+      ctx.clearRect(0, 0, width, height);
+      ctx.drawImage(base, 0, 0, width, height);
+
+      // Dashed arcs, same proportions and speed as the Globe.gl ones
+      if (launchedAt !== null) {
+        const elapsed = now - launchedAt;
+        legs.forEach((leg, i) => {
+          const points = arcPoints(leg);
+          let length = 0;
+          for (let k = 1; k < points.length; k++) {
+            length += Math.hypot(points[k].x - points[k - 1].x, points[k].y - points[k - 1].y);
+          }
+          const start = points[0];
+          const end = points[points.length - 1];
+          const gradient = ctx.createLinearGradient(start.x, start.y, end.x, end.y);
+          gradient.addColorStop(0, leg.from.color);
+          gradient.addColorStop(1, leg.to.color);
+          ctx.strokeStyle = gradient;
+          ctx.lineWidth = 2.5;
+          ctx.lineCap = 'round';
+          ctx.setLineDash([0.6 * length, 0.3 * length]);
+          ctx.lineDashOffset = -(elapsed / legTime - i) * length;
+          ctx.beginPath();
+          points.forEach((p, k) => k ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+          ctx.stroke();
+        });
+        ctx.setLineDash([]);
+      }
+
+      // Markers with a ring pulsing out every 1200ms, and labels
+      ctx.font = '10px "Press Start 2P", monospace';
+      ctx.textBaseline = 'middle';
+      for (const w of route.waypoints) {
+        const p = project(w.lat, w.lng);
+        if (p.z <= 0) continue;
+        const pulse = (now % 1200) / 1200;
+        ctx.strokeStyle = w.color;
+        ctx.globalAlpha = 1 - pulse;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 4 + pulse * 14, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = w.color;
+        ctx.fillRect(Math.round(p.x - 3), Math.round(p.y - 3), 6, 6);
+        ctx.fillText(w.label, p.x + 9, p.y);
+      }
+
+      animId = requestAnimationFrame(draw);
+    }
+
+    resize();
+    window.addEventListener('resize', resize);
+    animId = requestAnimationFrame(draw);
+
+    return {
+      launch() {
+        launchedAt = performance.now();
+      },
+      reset() {
+        launchedAt = null;
+      },
+      pause() {
+        cancelAnimationFrame(animId);
+        animId = null;
+      },
+      resume() {
+        if (animId === null) animId = requestAnimationFrame(draw);
+      }
+    };
   }
 
   /**
-   * Animates the latency counter from 0 to DISTANCE_MILES
+   * Animates the latency counter from 0 to the route's distance
    * using requestAnimationFrame with easing.
    */
-  function animateLatencyCounter() {
+  function animateLatencyCounter(scope) {
+    const distance = routeMiles(route);
     const duration = ARC_FLIGHT_TIME * 0.8; // Counter completes at 80% of flight
     const start = performance.now();
 
@@ -317,117 +660,134 @@
       const progress = Math.min(elapsed / duration, 1);
       // Ease out cubic
       const eased = 1 - Math.pow(1 - progress, 3);
-      const value = Math.round(eased * DISTANCE_MILES);
+      const value = Math.round(eased * distance);
       $statLatency.textContent = value.toLocaleString();
       if (progress < 1) {
-        requestAnimationFrame(update);
+        scope.frame(update);
       }
     }
 
-    requestAnimationFrame(update);
+    scope.frame(update);
   }
 
   /**
    * Schedules status overlay text changes to sync with the arc animation.
-   * Calls resolve() when the connection is "established."
+   * Calls done() when the connection is "established."
    */
-  function scheduleStatusUpdates(resolve) {
+  function scheduleStatusUpdates(scope, done) {
     // At 75%: "Arriving..."
-    setTimeout(() => {
+    scope.after(ARC_FLIGHT_TIME * ARRIVING_THRESHOLD, () => {
       $statPacket.textContent = 'Arriving...';
       $statPacket.classList.add('status-arriving');
-    }, ARC_FLIGHT_TIME * ARRIVING_THRESHOLD);
+    });
 
     // At 100%: "Delivered" → then "Connection Established"
-    setTimeout(() => {
+    scope.after(ARC_FLIGHT_TIME, () => {
       $statPacket.textContent = 'Delivered';
       $statPacket.classList.remove('status-arriving');
       $statPacket.classList.add('status-delivered');
-    }, ARC_FLIGHT_TIME);
+    });
 
     // Show "Connection Established" overlay
-    setTimeout(() => {
+    scope.after(ARC_FLIGHT_TIME + 800, () => {
       $connectionEstablished.classList.add('visible');
-    }, ARC_FLIGHT_TIME + 800);
+    });
 
-    // Resolve after CE display
-    setTimeout(() => {
-      resolve();
-    }, ARC_FLIGHT_TIME + 800 + CE_DISPLAY_TIME);
+    // Done after CE display
+    scope.after(ARC_FLIGHT_TIME + 800 + CE_DISPLAY_TIME, done);
   }
 
-  /* ============================================
-     PHASE TRANSITIONS
-     ============================================ */
-
   /**
-   * Transitions from landing to globe phase.
+   * Puts the status overlay back how the markup has it, for replays.
    */
-  function transitionToGlobe() {
-    $landing.classList.remove('active');
-    setTimeout(() => {
-      $globePhase.classList.add('active');
-    }, 400);
+  function resetStatus() {
+    $statusOverlay.classList.remove('visible');
+    $connectionEstablished.classList.remove('visible');
+    $statLatency.textContent = '0';
+    $statPacket.textContent = 'In Transit';
+    $statPacket.classList.remove('status-arriving', 'status-delivered');
   }
 
+  /* ============================================
+     LETTER PHASE
+     ============================================ */
+
   /**
-   * Transitions from globe to letter phase.
-   * Handles the color palette shift from cyber → romantic.
+   * Shows the letter with the color palette shift from cyber → romantic.
+   * Without delay it appears at once, e.g. when deep-linking.
    */
-  function transitionToLetter() {
-    // Fade out globe
-    $globePhase.classList.remove('active');
+  function showLetter(scope, delay = true) {
+    if ($letterPhase.classList.contains('active')) return;
 
     // Switch body to romantic phase (triggers CSS color transitions)
-    setTimeout(() => {
+    scope.after(delay ? 600 : 0, () => {
       document.body.classList.add('romantic-phase');
-    }, 600);
+    });
 
-    // Show letter phase
-    setTimeout(() => {
+    scope.after(delay ? 1200 : 0, () => {
       $letterPhase.classList.add('active');
       // Allow scrolling on letter phase
       document.body.style.overflow = 'auto';
-      // Start ambient particles
+      // Ambient particles and the countdown run from here on
       createAmbientParticles();
-      // Start typewriter on first section
-      startTypewriter();
-      // Start countdown
       startCountdown();
-    }, 1200);
+    });
   }
 
-  /* ============================================
-     LETTER PHASE
-     ============================================ */
+  /**
+   * Hides the letter and puts the ask back, for replays.
+   */
+  function hideLetter() {
+    $letterPhase.classList.remove('active');
+    document.body.classList.remove('romantic-phase');
+    document.body.style.overflow = 'hidden';
+    window.scrollTo(0, 0);
+
+    const askSection = document.querySelector('.the-ask');
+    askSection.style.transition = '';
+    askSection.style.opacity = '';
+    askSection.style.display = '';
+    $acceptedState.classList.remove('visible');
+
+    retryCount = 0;
+    $btnRetry.classList.remove('shake', 'dodge', 'hiding');
+    $btnRetry.style.transform = '';
+    $retryError.textContent = '';
+    $retryError.classList.remove('visible');
+  }
 
   /**
    * Creates floating ambient particles for the romantic phase background.
    */
   function createAmbientParticles() {
     const container = document.getElementById('ambient-particles');
+    if (container.childElementCount) return;
     const PARTICLE_COUNT = 25;
     const colors = ['#e8828a', '#f8bbd0', '#ffccbc', '#d4606a'];
 
     for (let i = 0; i < PARTICLE_COUNT; i++) {
       const dot = document.createElement('div');
       dot.classList.add('ambient-dot');
-      dot.style.left = Math.random() * 100 + '%';
-      dot.style.animationDuration = (Math.random() * 15 + 10) + 's';
-      dot.style.animationDelay = (Math.random() * 10) + 's';
-      dot.style.width = (Math.random() * 4 + 2) + 'px';
+      dot.style.left = random() * 100 + '%';
+      dot.style.animationDuration = (random() * 15 + 10) + 's';
+      dot.style.animationDelay = (random() * 10) + 's';
+      dot.style.width = (random() * 4 + 2) + 'px';
       dot.style.height = dot.style.width;
-      dot.style.background = colors[Math.floor(Math.random() * colors.length)];
+      dot.style.background = colors[Math.floor(random() * colors.length)];
       container.appendChild(dot);
     }
   }
 
+  // Full text of each .typewriter-target paragraph, read before the first run
+  let letterTexts = null;
+
   /**
    * Typewriter effect for ALL paragraphs inside .typewriter-target.
-   * Types through each <p> sequentially, moving the cursor between them.
+   * Types through each <p> sequentially, moving the cursor between them,
+   * then calls done(). Cancelling the scope fills in the rest at once.
    * Uses innerText to preserve rendered HTML entities (e.g., &mdash;).
    */
-  function startTypewriter() {
+  function startTypewriter(scope, done) {
     const target = document.querySelector('.typewriter-target');
     if (!target) return;
 
@@ -435,28 +795,43 @@
     if (paragraphs.length === 0) return;
 
     // Store the full text for each paragraph, then clear them all
-    const texts = paragraphs.map(p => {
-      const text = p.innerText;
+    letterTexts = letterTexts || paragraphs.map(p => p.innerText);
+    const texts = letterTexts;
+    paragraphs.forEach(p => {
       p.textContent = '';
       p.style.display = 'none'; // Hide until it's their turn
-      return text;
     });
 
     // Create the blinking cursor
     const cursor = document.createElement('span');
     cursor.classList.add('typewriter-cursor');
 
+    function fadeCursor() {
+      cursor.style.animation = 'none';
+      cursor.style.opacity = '0';
+      cursor.style.transition = 'opacity 0.5s ease';
+    }
+
     let pIndex = 0;   // Which paragraph we're typing
     let charIndex = 0; // Which character within that paragraph
 
+    // Skipped or replayed: show the whole letter
+    scope.onCancel(() => {
+      if (pIndex >= paragraphs.length) return;
+      paragraphs.forEach((p, i) => {
+        p.textContent = texts[i];
+        p.style.display = '';
+      });
+      fadeCursor();
+    });
+
     function typeNextParagraph() {
       if (pIndex >= paragraphs.length) {
         // All done — fade out cursor
-        setTimeout(() => {
-          cursor.style.animation = 'none';
-          cursor.style.opacity = '0';
-          cursor.style.transition = 'opacity 0.5s ease';
-        }, 1500);
+        scope.after(1500, () => {
+          fadeCursor();
+          done();
+        });
         return;
       }
 
@@ -473,12 +848,12 @@
           const textNode = document.createTextNode(fullText[charIndex]);
           p.insertBefore(textNode, cursor);
           charIndex++;
-          setTimeout(typeChar, TYPEWRITER_SPEED);
+          scope.after(TYPEWRITER_SPEED, typeChar);
         } else {
           // Paragraph complete — brief pause, then move to next
           pIndex++;
           if (pIndex < paragraphs.length) {
-            setTimeout(typeNextParagraph, 400); // Pause between paragraphs
+            scope.after(400, typeNextParagraph); // Pause between paragraphs
           } else {
             typeNextParagraph(); // Triggers the cursor fade-out
           }
@@ -489,13 +864,18 @@
     }
 
     // Start after the letter fades in
-    setTimeout(typeNextParagraph, 1800);
+    scope.after(1800, typeNextParagraph);
   }
 
   /**
    * Countdown timer to Valentine's Day (Feb 14, 2026 midnight EST).
+   * Runs once, however often the letter is shown.
    */
+  let countdownStarted = false;
   function startCountdown() {
+    if (countdownStarted) return;
+    countdownStarted = true;
+
     // Feb 14, 2026 00:00:00 EST (UTC-5)
     const valentineDate = new Date('2026-02-14T00:00:00-05:00');
 
@@ -530,11 +910,20 @@
      THE ASK – Button Interactions
      ============================================ */
 
+  /**
+   * Listens for an answer while the letter is up: accepting is
+   * allowed before the letter has finished typing too.
+   */
+  function listenForAnswer(scope) {
+    scope.listen($btnAccept, 'click', () => timeline.go('accepted'));
+    scope.listen($btnRetry, 'click', () => handleRetry(scope));
+  }
+
   /**
    * Handles the "Accept Transmission" button click:
    * fires confetti, hides buttons, shows final message.
    */
-  function handleAccept() {
+  function handleAccept(scope) {
     // Fire confetti
     if (typeof confetti === 'function') {
       // First burst - center
@@ -549,7 +938,7 @@
       });
 
       // Second burst - left
-      setTimeout(() => {
+      scope.after(200, () => {
         confetti({
           particleCount: 60,
           angle: 60,
@@ -558,10 +947,10 @@
           colors: ['#e8828a', '#f8bbd0', '#ff6b9d'],
           scalar: 1.1
         });
-      }, 200);
+      });
 
       // Third burst - right
-      setTimeout(() => {
+      scope.after(400, () => {
         confetti({
           particleCount: 60,
           angle: 120,
@@ -570,10 +959,10 @@
           colors: ['#e8828a', '#f8bbd0', '#ff6b9d'],
           scalar: 1.1
         });
-      }, 400);
+      });
 
       // Heart confetti burst
-      setTimeout(() => {
+      scope.after(600, () => {
         confetti({
           particleCount: 50,
           spread: 100,
@@ -583,7 +972,7 @@
           scalar: 1.5,
           ticks: 300
         });
-      }, 600);
+      });
     }
 
     // Hide buttons and ask text
@@ -591,18 +980,18 @@
     askSection.style.transition = 'opacity 0.8s ease';
     askSection.style.opacity = '0';
 
-    setTimeout(() => {
+    scope.after(800, () => {
       askSection.style.display = 'none';
       // Show accepted state
       $acceptedState.classList.add('visible');
-    }, 800);
+    });
   }
 
   /**
    * Handles the "Retry Connection" button clicks:
    * shakes, dodges, shows error messages, eventually disappears.
    */
-  function handleRetry() {
+  function handleRetry(scope) {
     if (retryCount >= retryMessages.length) return;
 
     const message = retryMessages[retryCount];
@@ -614,79 +1003,248 @@
     if (retryCount === 0) {
       // First click: shake the button
       $btnRetry.classList.add('shake');
-      setTimeout(() => $btnRetry.classList.remove('shake'), 500);
+      scope.after(500, () => $btnRetry.classList.remove('shake'));
     } else if (retryCount === 1) {
       // Second click: shake + dodge to a random position
       $btnRetry.classList.add('shake');
-      setTimeout(() => $btnRetry.classList.remove('shake'), 500);
+      scope.after(500, () => $btnRetry.classList.remove('shake'));
 
-      setTimeout(() => {
+      scope.after(500, () => {
         $btnRetry.classList.add('dodge');
         // Keep dodge range small enough for mobile
         const maxX = Math.min(60, window.innerWidth * 0.1);
         const randomX = (Math.random() - 0.5) * maxX * 2;
         const randomY = -20 - Math.random() * 30;
         $btnRetry.style.transform = `translate(${randomX}px, ${randomY}px)`;
-      }, 500);
+      });
     } else {
       // Third click: button disappears
       $btnRetry.classList.add('hiding');
-      setTimeout(() => {
+      scope.after(1500, () => {
         $retryError.textContent = '';
         $retryError.classList.remove('visible');
-      }, 1500);
+      });
     }
 
     retryCount++;
 
     // Clear error message after a delay (unless it was the final message)
     if (retryCount < retryMessages.length) {
-      setTimeout(() => {
+      scope.after(2000, () => {
         $retryError.classList.remove('visible');
-      }, 2000);
+      });
     }
   }
 
   /* ============================================
-     ORCHESTRATION
+     TIMELINE
      ============================================ */
 
+  const PHASE_ORDER = ['landing', 'globe', 'status', 'letter', 'ask', 'accepted'];
+  const LETTER_PHASES = ['letter', 'ask', 'accepted'];
+
   /**
-   * Main entry point. Called on DOMContentLoaded.
-   * Sets up initial state and event listeners.
+   * Timers, animation frames and listeners for one phase. Everything
+   * started through a scope stops when it is cancelled, so leaving a
+   * phase early never leaves callbacks behind.
    */
-  function init() {
-    // Lock body scroll initially
-    document.body.style.overflow = 'hidden';
+  function createScope() {
+    const timers = new Set();
+    const frames = new Set();
+    const cleanups = [];
+
+    return {
+      active: true,
+      after(ms, fn) {
+        const id = setTimeout(() => {
+          timers.delete(id);
+          fn();
+        }, ms);
+        timers.add(id);
+      },
+      frame(fn) {
+        const id = requestAnimationFrame((now) => {
+          frames.delete(id);
+          fn(now);
+        });
+        frames.add(id);
+      },
+      listen(target, type, fn) {
+        target.addEventListener(type, fn);
+        cleanups.push(() => target.removeEventListener(type, fn));
+      },
+      onCancel(fn) {
+        cleanups.push(fn);
+      },
+      cancel() {
+        this.active = false;
+        timers.forEach(clearTimeout);
+        frames.forEach(cancelAnimationFrame);
+        cleanups.splice(0).reverse().forEach(fn => fn());
+      }
+    };
+  }
 
-    // Start starfield
-    const cleanupStarfield = initStarfield();
+  /**
+   * A state machine over PHASE_ORDER. Each phase has enter(scope, from)
+   * and optionally exit(to). go() cancels the current phase's scope,
+   * exits it and enters the next with a fresh scope. The current phase
+   * is mirrored to <body data-phase> for styling.
+   */
+  function createTimeline(phases) {
+    let current = null;
+    let scope = null;
+
+    function go(name) {
+      const from = current;
+      if (scope) scope.cancel();
+      if (from && phases[from].exit) phases[from].exit(name);
+      current = name;
+      scope = createScope();
+      document.body.dataset.phase = name;
+      phases[name].enter(scope, from);
+    }
 
-    // Animate terminal text
-    animateTerminal();
+    function next() {
+      const index = PHASE_ORDER.indexOf(current);
+      if (index < PHASE_ORDER.length - 1) go(PHASE_ORDER[index + 1]);
+    }
 
-    // "Begin Transmission" button click
-    $btnBegin.addEventListener('click', async () => {
-      $btnBegin.style.pointerEvents = 'none';
-      $btnBegin.style.opacity = '0';
-      $btnBegin.style.transition = 'opacity 0.5s ease';
+    return {
+      go,
+      next,
+      get current() { return current; }
+    };
+  }
 
-      // Clean up starfield
-      if (cleanupStarfield) cleanupStarfield();
+  /**
+   * Runs fn with the globe view once it has loaded, unless the phase
+   * has been left by then.
+   */
+  function withGlobe(scope, fn) {
+    getGlobe().then((view) => {
+      if (scope.active) fn(view);
+    });
+  }
 
-      // Transition to globe
-      transitionToGlobe();
+  const timeline = createTimeline({
+    landing: {
+      enter(scope) {
+        $landing.classList.add('active');
+        // No #starfield, nothing to stop
+        const stopStarfield = initStarfield();
+        if (typeof stopStarfield === 'function') scope.onCancel(stopStarfield);
+        animateTerminal(scope);
+        scope.listen($btnBegin, 'click', () => timeline.next());
+      },
+      exit() {
+        $landing.classList.remove('active');
+        $btnBegin.classList.remove('show');
+      }
+    },
+
+    globe: {
+      enter(scope) {
+        resetStatus();
+        scope.after(400, () => $globePhase.classList.add('active'));
+        // Start with no arc, launch it after the globe settles
+        withGlobe(scope, (view) => {
+          view.reset();
+          view.resume();
+          scope.after(1500, () => timeline.next());
+        });
+      },
+      exit(to) {
+        if (to !== 'status') {
+          $globePhase.classList.remove('active');
+          getGlobe().then(view => view.pause());
+        }
+      }
+    },
+
+    status: {
+      enter(scope, from) {
+        if (from !== 'globe') resetStatus();
+        $globePhase.classList.add('active');
+        withGlobe(scope, (view) => {
+          view.resume();
+          view.launch();
+          $statusOverlay.classList.add('visible');
+          animateLatencyCounter(scope);
+          scheduleStatusUpdates(scope, () => timeline.next());
+        });
+      },
+      exit() {
+        $globePhase.classList.remove('active');
+        $statusOverlay.classList.remove('visible');
+        $connectionEstablished.classList.remove('visible');
+        getGlobe().then(view => view.pause());
+      }
+    },
+
+    letter: {
+      enter(scope, from) {
+        const delayed = from !== null;
+        showLetter(scope, delayed);
+        listenForAnswer(scope);
+        // Type once the letter has faded in
+        scope.after(delayed ? 1200 : 0, () => {
+          startTypewriter(scope, () => timeline.next());
+        });
+      },
+      exit(to) {
+        if (!LETTER_PHASES.includes(to)) hideLetter();
+      }
+    },
+
+    ask: {
+      enter(scope) {
+        showLetter(scope, false);
+        listenForAnswer(scope);
+      },
+      exit(to) {
+        if (!LETTER_PHASES.includes(to)) hideLetter();
+      }
+    },
+
+    accepted: {
+      enter(scope) {
+        showLetter(scope, false);
+        handleAccept(scope);
+      },
+      exit(to) {
+        if (!LETTER_PHASES.includes(to)) hideLetter();
+      }
+    }
+  });
 
-      // Initialize globe and wait for arc to complete
-      await initGlobe();
+  /* ============================================
+     ORCHESTRATION
+     ============================================ */
 
-      // Transition to letter
-      transitionToLetter();
-    });
+  /**
+   * Main entry point. Called on DOMContentLoaded.
+   * Sets up initial state and event listeners, then enters the first
+   * phase: landing, or the one named by ?phase=<name>.
+   */
+  async function init() {
+    // Lock body scroll initially
+    document.body.style.overflow = 'hidden';
+
+    // Terminal text needs the route
+    route = await loadRoute();
+    renderRouteLines(route);
+
+    const requested = new URLSearchParams(window.location.search).get('phase');
+    const first = PHASE_ORDER.includes(requested) ? requested : 'landing';
+    // The markup shows the landing; deep links start elsewhere
+    if (first !== 'landing') $landing.classList.remove('active');
+    timeline.go(first);
 
-    // Button event listeners
-    $btnAccept.addEventListener('click', handleAccept);
-    $btnRetry.addEventListener('click', handleRetry);
+    // Skip to the next phase, start the transmission over. Only once a
+    // phase is running, so an early click can't skip the route loading
+    $btnSkip.addEventListener('click', () => timeline.next());
+    $btnReplay.addEventListener('click', () => timeline.go('globe'));
   }
 
   // Launch when DOM is ready
@@ -0,0 +1,97 @@
+/* ============================================
+   Long-Distance Protocol – Valentine Delivery
+   route.js
+
+   Route math for main.js: checking a route loaded from
+   ?route=<url>, filling in what it leaves out, and the
+   distances and camera position along it. No DOM, so the
+   tests can load it on its own.
+   ============================================ */
+
+window.ROUTE_MATH = (function () {
+  'use strict';
+
+  const EARTH_RADIUS_MILES = 3958.8;
+  // Marker colors for waypoints that don't set one, in turn
+  const WAYPOINT_COLORS = ['#a78bfa', '#f9a8d4', '#7dd3fc', '#fcd34d'];
+
+  const rad = deg => deg * Math.PI / 180;
+  const deg = r => r * 180 / Math.PI;
+
+  /**
+   * At least two waypoints, each with a numeric lat and lng.
+   * `color`, if given, must be a string.
+   */
+  function isValidRoute(candidate) {
+    return !!candidate && Array.isArray(candidate.waypoints) && candidate.waypoints.length >= 2 &&
+      candidate.waypoints.every(w => !!w && typeof w.lat === 'number' && typeof w.lng === 'number' &&
+        (w.color === undefined || typeof w.color === 'string'));
+  }
+
+  /**
+   * A copy of a valid route with every waypoint given a color.
+   */
+  function withDefaults(r) {
+    return {
+      ...r,
+      waypoints: r.waypoints.map((w, i) => ({
+        color: WAYPOINT_COLORS[i % WAYPOINT_COLORS.length],
+        ...w
+      }))
+    };
+  }
+
+  /**
+   * Great-circle distance between two { lat, lng } points in miles,
+   * using the haversine formula.
+   */
+  function greatCircleMiles(from, to) {
+    const dLat = rad(to.lat - from.lat);
+    const dLng = rad(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * The route's legs: one arc between each pair of consecutive waypoints.
+   */
+  function routeLegs(r) {
+    return r.waypoints.slice(1).map((to, i) => ({ from: r.waypoints[i], to }));
+  }
+
+  /**
+   * Total distance along every leg, in miles.
+   */
+  function routeMiles(r) {
+    return routeLegs(r).reduce((sum, leg) => sum + greatCircleMiles(leg.from, leg.to), 0);
+  }
+
+  /**
+   * Camera position: the route's `view`, or above the middle of its waypoints.
+   * The middle is the mean of their directions from the Earth's centre, so
+   * routes across the antimeridian look at the Pacific, not the far side.
+   * Waypoints that cancel out leave no middle, so we look at the first.
+   */
+  function routeView(r) {
+    if (r.view) return { altitude: 2.2, ...r.view };
+    let x = 0;
+    let y = 0;
+    let z = 0;
+    r.waypoints.forEach(w => {
+      x += Math.cos(rad(w.lat)) * Math.cos(rad(w.lng));
+      y += Math.cos(rad(w.lat)) * Math.sin(rad(w.lng));
+      z += Math.sin(rad(w.lat));
+    });
+    if (Math.hypot(x, y, z) < 1e-9) {
+      return { lat: r.waypoints[0].lat, lng: r.waypoints[0].lng, altitude: 2.2 };
+    }
+    return {
+      lat: deg(Math.atan2(z, Math.hypot(x, y))),
+      lng: deg(Math.atan2(y, x)),
+      altitude: 2.2
+    };
+  }
+
+  return { isValidRoute, withDefaults, greatCircleMiles, routeLegs, routeMiles, routeView };
+})();